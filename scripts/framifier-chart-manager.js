@@ -0,0 +1,234 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-chart-manager.js) provides the GUI
+functionality for the FRAMifier chart manager: the draggable dialog that
+plots the simulation results for selected functions and aspects against
+the cycle number or the simulated clock time.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ChartManager
+class ChartManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('chart');
+    UI.resizableDialog('chart', 'CHART_MANAGER');
+    this.close_btn = document.getElementById('chart-close-btn');
+    this.x_axis = document.getElementById('chart-x-axis');
+    this.state = document.getElementById('chart-state');
+    this.copy_btn = document.getElementById('chart-copy-btn');
+    this.save_btn = document.getElementById('chart-save-btn');
+    this.items = document.getElementById('chart-items');
+    this.container = document.getElementById('chart-svg-container');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.copy_btn.addEventListener(
+        'click', () => UI.copyStringToClipboard(CHART_MANAGER.svg));
+    this.save_btn.addEventListener(
+        'click', () => FILE_MANAGER.pushOutSVG(CHART_MANAGER.svg, 'chart'));
+    this.x_axis.addEventListener(
+        'change', () => CHART_MANAGER.updateDialog());
+    this.state.addEventListener(
+        'change', () => CHART_MANAGER.updateDialog());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    // Selected functions and aspects, in order of selection.
+    this.selection = [];
+    this.svg = '';
+  }
+  
+  get plottedEntities() {
+    // Return the selected entities that still exist in the model.
+    return this.selection.filter((e) =>
+        MODEL.activities[e.identifier] === e ||
+        MODEL.aspects[e.identifier] === e);
+  }
+  
+  toggleItem(id) {
+    // Add the entity identified by `id` to the chart, or remove it.
+    const e = MODEL.activities[id] || MODEL.aspects[id];
+    if(!e) return;
+    const i = this.selection.indexOf(e);
+    if(i >= 0) {
+      this.selection.splice(i, 1);
+    } else {
+      this.selection.push(e);
+    }
+    this.updateDialog();
+  }
+  
+  updateDialog() {
+    // Update the list of functions and aspects, and redraw the chart.
+    if(!this.visible || !MODEL) return;
+    this.selection = this.plottedEntities;
+    const
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        el = MODEL.top_activity.leafActivities.sort(byName).concat(
+            Object.values(MODEL.aspects).sort(byName)),
+        cc = UI.chart_colors,
+        html = [];
+    for(let i = 0; i < el.length; i++) {
+      const
+          e = el[i],
+          si = this.selection.indexOf(e),
+          img = (e instanceof Activity ? 'activity' : 'aspect'),
+          style = (si >= 0 ?
+              ` style="color: ${cc[si % cc.length]}; font-weight: bold"` : '');
+      html.push('<tr class="dataset" onclick="CHART_MANAGER.toggleItem(\'',
+          e.identifier, '\');"><td><div class="box ',
+          (si >= 0 ? 'checked' : 'clear'), '"></div></td><td><img ',
+          'class="finder" src="images/', img, '.png"></td><td', style, '>',
+          xmlEncoded(e.displayName), '</td></tr>');
+    }
+    this.items.innerHTML = html.join('');
+    const cs = window.getComputedStyle(this.container);
+    this.svg = this.chartSVG(Math.max(200, parseFloat(cs.width)),
+        Math.max(100, parseFloat(cs.height)));
+    this.container.innerHTML = this.svg;
+  }
+  
+  seriesValue(e, t) {
+    // Return the value of entity `e` for cycle `t`.
+    if(e instanceof Activity) return e.state[this.state.value][t];
+    return e.value(t);
+  }
+  
+  chartSVG(w, h) {
+    // Return the chart as an SVG string of width `w` and height `h`.
+    const
+        el = this.selection,
+        cc = UI.chart_colors,
+        font = UI.paper.font_name,
+        svg = [`<svg xmlns="${UI.paper.svg_url}" version="1.1" `,
+            `width="${w}" height="${h}" font-family="${font}" `,
+            'font-size="9">',
+            `<rect x="0" y="0" width="${w}" height="${h}" fill="white"/>`];
+    if(!MODEL.solved || !el.length) {
+      svg.push(`<text x="${w / 2}" y="${h / 2}" text-anchor="middle" `,
+          'fill="gray">', (MODEL.solved ?
+              'Select functions and aspects to plot their values' :
+              'Run the simulation to obtain results to plot'),
+          '</text></svg>');
+      return svg.join('');
+    }
+    const
+        by_time = this.x_axis.value === 'time',
+        tmax = MODEL.run_length,
+        xv = (t) => (by_time ? MODEL.clock_time[t] : t),
+        proper = (v) => v >= VM.MINUS_INFINITY && v <= VM.PLUS_INFINITY;
+    // Determine the value ranges.
+    let xmax = 0,
+        ymin = 0,
+        ymax = 0;
+    for(let t = 0; t <= tmax; t++) {
+      xmax = Math.max(xmax, xv(t));
+      for(let i = 0; i < el.length; i++) {
+        const v = this.seriesValue(el[i], t);
+        if(proper(v)) {
+          ymin = Math.min(ymin, v);
+          ymax = Math.max(ymax, v);
+        }
+      }
+    }
+    if(xmax <= 0) xmax = 1;
+    if(ymax <= ymin) ymax = ymin + 1;
+    const
+        ml = 50,
+        mr = 12,
+        mt = 10 + 12 * el.length,
+        mb = 32,
+        pw = Math.max(10, w - ml - mr),
+        ph = Math.max(10, h - mt - mb),
+        px = (x) => (ml + x / xmax * pw).toFixed(1),
+        py = (y) => (mt + ph - (y - ymin) / (ymax - ymin) * ph).toFixed(1),
+        xstep = (by_time ? niceStep(xmax, pw / 60) :
+            Math.max(1, Math.round(niceStep(xmax, pw / 40)))),
+        ystep = niceStep(ymax - ymin, ph / 30);
+    // Draw the grid and the tick labels.
+    for(let x = 0; x <= xmax + 1e-9; x += xstep) {
+      svg.push(`<line x1="${px(x)}" y1="${mt}" x2="${px(x)}" `,
+          `y2="${mt + ph + 3}" stroke="#e0e0e0"/>`,
+          `<text x="${px(x)}" y="${mt + ph + 13}" text-anchor="middle">`,
+          (by_time ? UI.clockTime(x) : x), '</text>');
+    }
+    for(let y = Math.ceil(ymin / ystep) * ystep; y <= ymax + 1e-9;
+        y += ystep) {
+      svg.push(`<line x1="${ml - 3}" y1="${py(y)}" x2="${ml + pw}" `,
+          `y2="${py(y)}" stroke="#e0e0e0"/>`,
+          `<text x="${ml - 5}" y="${py(y)}" text-anchor="end" `,
+          `dominant-baseline="middle">${VM.sig4Dig(y)}</text>`);
+    }
+    svg.push(`<rect x="${ml}" y="${mt}" width="${pw}" height="${ph}" `,
+        'fill="none" stroke="gray"/>',
+        `<text x="${ml + pw / 2}" y="${h - 4}" text-anchor="middle">`,
+        (by_time ? 'Clock time' : 'Cycle'), '</text>');
+    // Mark the cycle shown in the diagram.
+    svg.push(`<line x1="${px(xv(MODEL.t))}" y1="${mt}" `,
+        `x2="${px(xv(MODEL.t))}" y2="${mt + ph}" stroke="#c0c0c0" `,
+        'stroke-dasharray="3,3"/>');
+    // Draw the series, interrupting the line at exceptional values.
+    for(let i = 0; i < el.length; i++) {
+      const
+          c = cc[i % cc.length],
+          e = el[i],
+          lines = [],
+          dots = [];
+      let pl = [];
+      for(let t = 0; t <= tmax; t++) {
+        const v = this.seriesValue(e, t);
+        if(proper(v)) {
+          const p = `${px(xv(t))},${py(v)}`;
+          pl.push(p);
+          dots.push(`<circle cx="${px(xv(t))}" cy="${py(v)}" r="1.5" ` +
+              `fill="${c}"/>`);
+        } else if(pl.length) {
+          lines.push(pl);
+          pl = [];
+        }
+      }
+      if(pl.length) lines.push(pl);
+      for(let j = 0; j < lines.length; j++) {
+        svg.push(`<polyline points="${lines[j].join(' ')}" fill="none" `,
+            `stroke="${c}" stroke-width="1.5"/>`);
+      }
+      svg.push(...dots);
+      // Add the series to the legend.
+      const label = (e instanceof Activity ?
+          `${e.displayName} (${this.state.value})` : e.displayName);
+      svg.push(`<line x1="${ml}" y1="${6 + 12 * i}" x2="${ml + 16}" `,
+          `y2="${6 + 12 * i}" stroke="${c}" stroke-width="2"/>`,
+          `<text x="${ml + 20}" y="${6 + 12 * i}" `,
+          `dominant-baseline="middle">${xmlEncoded(label)}</text>`);
+    }
+    svg.push('</svg>');
+    return svg.join('');
+  }
+
+} // END of class ChartManager
@@ -0,0 +1,225 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-cli.js) provides a command line interface
+for running FRAMifier models (.framf or .json) and FRAM Model Visualizer
+models (.xfmv) in Node.js. For each model, it writes the simulation trace (as
+shown by the monitor) and a table with the results per cycle, or, when
+the experiment defined for the model is performed, the statistics over
+all its runs.
+
+Usage:
+
+    node scripts/framifier-cli.js [options] model-file [model-file ...]
+
+Options:
+
+    -r N, --run-length N    run for N cycles instead of the model setting
+    -x, --experiment        perform the experiment defined for the model
+    -n N, --runs N          perform the experiment with N runs per setting
+    -s S, --scenario S      run the model for the scenario named S
+    -c, --csv               write only the results per cycle, as CSV
+    -j, --json              write the model as JSON instead of running it
+    -o FILE, --output FILE  write output to FILE instead of stdout
+    -h, --help              show usage and exit
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const
+    fs = require('fs'),
+    {HeadlessEngine} = require('./framifier-headless.js'),
+    USAGE = `Usage: node scripts/framifier-cli.js [options] model-file [model-file ...]
+
+Options:
+  -r N, --run-length N    run for N cycles instead of the model setting
+  -x, --experiment        perform the experiment defined for the model
+  -n N, --runs N          perform the experiment with N runs per setting
+  -s S, --scenario S      run the model for the scenario named S
+  -c, --csv               write only the results per cycle, as CSV
+  -j, --json              write the model as JSON instead of running it
+  -o FILE, --output FILE  write output to FILE instead of stdout
+  -h, --help              show usage and exit
+`;
+
+function parseArguments(args) {
+  // Return the command line options as an object.
+  const opts = {run_length: 0, experiment: false, runs: 0, csv: false,
+      json: false, scenario: '', output: '', files: []};
+  for(let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if(a === '-h' || a === '--help') {
+      opts.help = true;
+    } else if(a === '-r' || a === '--run-length') {
+      i++;
+      const n = parseInt(args[i]);
+      if(isNaN(n) || n < 1) throw `Invalid run length "${args[i]}"`;
+      opts.run_length = n;
+    } else if(a === '-x' || a === '--experiment') {
+      opts.experiment = true;
+    } else if(a === '-n' || a === '--runs') {
+      i++;
+      const n = parseInt(args[i]);
+      if(isNaN(n) || n < 1) throw `Invalid number of runs "${args[i]}"`;
+      opts.experiment = true;
+      opts.runs = n;
+    } else if(a === '-s' || a === '--scenario') {
+      i++;
+      if(!args[i]) throw 'No scenario specified';
+      opts.scenario = args[i];
+    } else if(a === '-c' || a === '--csv') {
+      opts.csv = true;
+    } else if(a === '-j' || a === '--json') {
+      opts.json = true;
+    } else if(a === '-o' || a === '--output') {
+      i++;
+      if(!args[i]) throw 'No output file specified';
+      opts.output = args[i];
+    } else if(a.startsWith('-')) {
+      throw `Unknown option "${a}"`;
+    } else {
+      opts.files.push(a);
+    }
+  }
+  if(opts.csv && opts.experiment) {
+    throw 'Experiment results cannot be written as CSV';
+  }
+  if(opts.json && (opts.csv || opts.experiment)) {
+    throw 'Models written as JSON are not run';
+  }
+  return opts;
+}
+
+function alignedTable(rows) {
+  // Return `rows` (arrays of values) as text with all cells of a column
+  // padded to the same width.
+  const widths = rows[0].map((h, j) =>
+      Math.max(...rows.map((r) => ('' + r[j]).length)));
+  return rows.map((r) => r.map((v, j) => ('' + v).padEnd(widths[j]))
+      .join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function resultsTable(results) {
+  // Return the run results as a text table having one row per cycle,
+  // and columns for the clock time, the Output state of each function,
+  // and the value of each aspect.
+  const
+      first = results.cycles[0],
+      acts = Object.keys(first.activities).sort(ciCompare),
+      asps = Object.keys(first.aspects).sort(ciCompare),
+      rows = [['Cycle', 'Clock time', ...acts, ...asps]];
+  for(let i = 0; i < results.cycles.length; i++) {
+    const
+        c = results.cycles[i],
+        row = [c.cycle, UI.clockTime(c.clock_time)];
+    for(let j = 0; j < acts.length; j++) {
+      row.push(VM.sig4Dig(c.activities[acts[j]].O));
+    }
+    for(let j = 0; j < asps.length; j++) {
+      row.push(VM.sig4Dig(c.aspects[asps[j]]));
+    }
+    rows.push(row);
+  }
+  return alignedTable(rows);
+}
+
+function experimentTables(x) {
+  // Return the statistics of experiment `x` as text tables, one for the
+  // functions and one for the aspects.
+  // NOTE: The statistics are tab-separated, with an empty line between
+  // the tables.
+  const cell = (c) => (c && !isNaN(c) ? VM.sig4Dig(parseFloat(c)) : c);
+  return x.resultsAsText.split('\n\n').map((t) => alignedTable(
+      t.split('\n').map((l) => l.split('\t').map(cell)))).join('\n');
+}
+
+function runModelFile(engine, file, opts) {
+  // Load and run the model in `file`, and return the output text.
+  engine.loadModelFile(file);
+  if(opts.scenario) {
+    const sc = MODEL.scenarioByName(opts.scenario);
+    if(!sc) throw `Model has no scenario "${opts.scenario}"`;
+    MODEL.activateScenario(sc);
+  }
+  if(opts.json) return JSON.stringify(MODEL, null, 2);
+  if(opts.csv) {
+    engine.run(opts.run_length);
+    return MODEL.resultsAsCSV;
+  }
+  const
+      sc = MODEL.active_scenario,
+      title = `Model: ${MODEL.name || '(no name)'} (file: ${file})` +
+          (sc ? ` - scenario: ${sc.name}` : ''),
+      out = [title, '='.repeat(title.length), ''];
+  if(opts.experiment) {
+    const x = engine.runExperiment(opts.runs, opts.run_length);
+    out.push('EXPERIMENT', '', experimentTables(x));
+    return out.join('\n');
+  }
+  const r = engine.run(opts.run_length);
+  out.push('TRACE', '', r.messages.join(''), 'RESULTS', '', resultsTable(r));
+  if(r.issues.length) {
+    out.push('', 'ISSUES', '', r.issues.join('\n'), '');
+  }
+  return out.join('\n');
+}
+
+function main(args) {
+  let opts;
+  try {
+    opts = parseArguments(args);
+  } catch(err) {
+    console.error('ERROR: ' + err + '\n\n' + USAGE);
+    return 2;
+  }
+  if(opts.help || !opts.files.length) {
+    process.stdout.write(USAGE);
+    return (opts.help ? 0 : 2);
+  }
+  // NOTE: Diagnostic output of the model and the VM is written to stderr,
+  // so that it does not mix with the output.
+  console.log = console.error;
+  const
+      engine = new HeadlessEngine(),
+      out = [];
+  let failed = 0;
+  for(let i = 0; i < opts.files.length; i++) {
+    const f = opts.files[i];
+    try {
+      out.push(runModelFile(engine, f, opts));
+    } catch(err) {
+      console.error(`ERROR: Failed to run model file "${f}": ${err}`);
+      failed++;
+    }
+  }
+  if(opts.output) {
+    fs.writeFileSync(opts.output, out.join('\n'));
+  } else {
+    process.stdout.write(out.join('\n'));
+  }
+  return (failed ? 1 : 0);
+}
+
+process.exitCode = main(process.argv.slice(2));
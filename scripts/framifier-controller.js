@@ -127,6 +127,8 @@ class Controller {
     this.TOP_ACTIVITY_NAME = '(top-level function)';
     // Likewise, the "no actor" actor has a standard name
     this.NO_ACTOR = '(no agent)';
+    // Model without active scenario is displayed as the "base model"
+    this.BASE_SCENARIO = '(base model)';
     // Character to separate object name from attribute in variable names
     this.OA_SEPARATOR = '|';
     // Use colon with space to separate prefixes and names of clones
@@ -197,10 +199,15 @@ class Controller {
     this.to_connector = null;
     this.to_activity = null;
     this.connection_data = null;
+    // Issues found by validating the model are kept apart from the issues
+    // that occur while running it, as they do not relate to a time step.
+    this.validation_issues = [];
+    this.validation_pending = false;
     this.last_up_down_without_move = Date.now();
     // Keyboard shortcuts: Ctrl-x associates with menu button ID.
     this.shortcuts = {
       'C': 'clone', // button and Ctrl-C now copies; Alt-C clones
+      'E': 'experiment',
       'F': 'finder',
       'G': 'savediagram', // G for "Graph" (as Scalable Vector Graphics image)
       'I': 'documentation',
@@ -222,11 +229,12 @@ class Controller {
     // Initialize controller buttons.
     this.node_btns = ['activity', 'note'];
     this.edit_btns = ['clone', 'paste', 'delete', 'undo', 'redo'];
-    this.model_btns = ['settings', 'save', 'savediagram', 'finder',
-        'actors', 'monitor', 'subfunction', 'solve'];
+    this.model_btns = ['settings', 'save', 'savediagram', 'network', 'finder',
+        'actors', 'monitor', 'chart', 'timeline', 'player', 'experiment',
+        'scenario', 'compare', 'merge', 'subfunction', 'solve'];
     this.other_btns = ['new', 'load', 'documentation',
-        'parent', 'lift', 'solve', 'stop', 'reset', 'zoomin', 'zoomout',
-        'stepback', 'stepforward', 'autosave', 'recall'];
+        'parent', 'lift', 'solve', 'stop', 'reset', 'export', 'zoomin',
+        'zoomout', 'stepback', 'stepforward', 'autosave', 'recall'];
     this.all_btns = this.node_btns.concat(
         this.edit_btns, this.model_btns, this.other_btns);
 
@@ -249,7 +257,8 @@ class Controller {
     // Initialize "main" modals, i.e., those that relate to the controller,
     // not to other dialog objects.
     const main_modals = ['model', 'load', 'settings', 'actors', 'actor',
-        'add-activity', 'add-aspect', 'move', 'note', 'clone', 'expression'];
+        'add-activity', 'add-aspect', 'move', 'note', 'clone', 'expression',
+        'network', 'tables'];
     for(let i = 0; i < main_modals.length; i++) {
       this.modals[main_modals[i]] = new ModalDialog(main_modals[i]);
     }
@@ -549,7 +558,7 @@ class Controller {
   warningEntityExists(e) {
     // NOTE: `e` can be NULL when an invalid name was specified when renaming
     if(e) {
-      let msg = `${e.FRAMtype} "${e.displayName}" already exists`;
+      let msg = `${e.FRAMType} "${e.displayName}" already exists`;
       if(e.displayName === this.TOP_ACTIVITY_NAME) {
         msg = 'System names cannot be used as entity name';
       }
@@ -566,6 +575,7 @@ class Controller {
   resetModel() {
     // Reset the Virtual Machine (clears solution). 
     VM.reset();
+    this.validateModel();
     // Redraw model in the browser (GUI only).
     MODEL.clearSelection();
     this.clearStatusLine();
@@ -573,6 +583,10 @@ class Controller {
     MODEL.t = 0;
     this.updateTimeStep();
     this.setProgressNeedle(0);
+    CHART_MANAGER.updateDialog();
+    TIMELINE_MANAGER.updateDialog();
+    PLAYER.updateDialog();
+    RUN_COMPARER.updateDialog();
   }
 
   get color() {
@@ -616,15 +630,24 @@ class Controller {
     this.buttons.settings.addEventListener('click',
         () => UI.showSettingsDialog(MODEL));
     this.buttons.save.addEventListener('click',
-        () => FILE_MANAGER.saveModel());
+        (event) => FILE_MANAGER.saveModel(event));
     this.buttons.savediagram.addEventListener('click',
         () => FILE_MANAGER.saveDiagramAsSVG(event));
+    this.buttons.network.addEventListener('click',
+        () => FILE_MANAGER.promptForNetwork());
     this.buttons.actors.addEventListener('click',
         () => ACTOR_MANAGER.showDialog());
     // NOTE: All draggable & resizable dialogs "toggle" show/hide.
     const tdf = (event) => UI.toggleDialog(event);
     this.buttons.finder.addEventListener('click', tdf);
     this.buttons.monitor.addEventListener('click', tdf);
+    this.buttons.chart.addEventListener('click', tdf);
+    this.buttons.timeline.addEventListener('click', tdf);
+    this.buttons.player.addEventListener('click', tdf);
+    this.buttons.experiment.addEventListener('click', tdf);
+    this.buttons.scenario.addEventListener('click', tdf);
+    this.buttons.compare.addEventListener('click', tdf);
+    this.buttons.merge.addEventListener('click', tdf);
     this.buttons.subfunction.addEventListener('click', tdf);
     this.buttons.documentation.addEventListener('click', tdf);
     // Activity hierarchy navigation elements:
@@ -674,6 +697,8 @@ class Controller {
     this.buttons.solve.addEventListener('click', () => VM.solveModel());
     this.buttons.stop.addEventListener('click', () => VM.halt());
     this.buttons.reset.addEventListener('click', () => UI.resetModel());
+    this.buttons.export.addEventListener('click',
+        (event) => FILE_MANAGER.saveResults(event));
 
     // Bottom-line GUI elements:
     this.buttons.zoomin.addEventListener('click', () => UI.paper.zoomIn());
@@ -749,6 +774,14 @@ class Controller {
         () => UI.cloneSelection());
     this.modals.clone.cancel.addEventListener('click',
         () => UI.cancelCloneSelection());
+    this.modals.network.ok.addEventListener('click',
+        () => FILE_MANAGER.saveNetwork());
+    this.modals.network.cancel.addEventListener('click',
+        () => this.modals.network.hide());
+    this.modals.tables.ok.addEventListener('click',
+        () => FILE_MANAGER.saveFunctionTables());
+    this.modals.tables.cancel.addEventListener('click',
+        () => this.modals.tables.hide());
 
     // ADD ASPECT modal appears when a link is double-clicked.
     this.modals['add-aspect'].ok.addEventListener('click',
@@ -962,7 +995,16 @@ class Controller {
 
   loadModelFromXML(xml) {
     // Parse `xml` and update the GUI.
-    const loaded = MODEL.parseXML(xml);
+    return this.updateLoadedModel(MODEL.parseXML(xml));
+  }
+  
+  loadModelFromJSON(json) {
+    // Parse `json` and update the GUI.
+    return this.updateLoadedModel(MODEL.parseJSON(json));
+  }
+  
+  updateLoadedModel(loaded) {
+    // Update the GUI for the model that has just been parsed.
     // If not a valid FRAMifier model, ensure that the current model is clean.
     if(!loaded) MODEL = new FRAMifierModel();
     if(MODEL.arrow_heads) {
@@ -982,7 +1024,7 @@ class Controller {
     }
     // Reset the Virtual Machine.
     VM.reset();
-    this.updateIssuePanel();
+    this.validateModel();
     this.updateButtons();
     // Undoable operations no longer apply!
     UNDO_STACK.clear();
@@ -1062,8 +1104,12 @@ class Controller {
   clockTime(hrs, secs=true) {
     // Return real number `hrs` as dd hh:mm:ss where dd is the number of
     // days, and the seconds :ss are omitted when `secs` is FALSE.
+    // When the model has a start date-time, return the calendar date
+    // and time `hrs` hours after this start.
     const sv = VM.specialValue(hrs);
     if(sv[0]) return sv[1];
+    const st = MODEL.startTime;
+    if(!isNaN(st)) return hoursToDateTime(st, hrs, secs);
     return hoursToString(hrs, secs);
   }
 
@@ -1088,6 +1134,8 @@ class Controller {
     UI.buttons.stop.classList.remove('blink');
     // Hide the reset button
     UI.buttons.reset.classList.add('off');   
+    // Without results, there is nothing to export.
+    UI.buttons.export.classList.add('off');
   }
   
   startSolving() {
@@ -1102,8 +1150,9 @@ class Controller {
   }
   
   readyToReset() {
-    // Show the Reset button.
+    // Show the Reset button, and the button to export the results.
     UI.buttons.reset.classList.remove('off');
+    UI.buttons.export.classList.remove('off');
   }
 
   reset() {
@@ -1121,9 +1170,32 @@ class Controller {
     this.start_sel_y = -1;
   }
 
+  get issueList() {
+    // Return the list of model validation issues followed by the issues
+    // that occurred while running the model.
+    return this.validation_issues.concat(VM.issue_list);
+  }
+
+  validateModel() {
+    // Update the list of model validation issues.
+    // NOTE: This is done only when the model has been loaded, reset or
+    // edited via the GUI, so not for each run of an experiment or of a
+    // scenario comparison. As edits are registered by the undo stack
+    // before they are performed, validation is deferred until they have
+    // been completed.
+    if(this.validation_pending) return;
+    this.validation_pending = true;
+    setTimeout(() => {
+        UI.validation_pending = false;
+        if(!MODEL) return;
+        UI.validation_issues = MODEL.validationIssues;
+        UI.updateIssuePanel();
+      });
+  }
+
   updateIssuePanel(change=0) {
     const
-        count = VM.issue_list.length,
+        count = this.issueList.length,
         panel = document.getElementById('issue-panel');
     if(count > 0) {
       const
@@ -1160,23 +1232,54 @@ class Controller {
     // Set time step to the one of the warning message for the issue
     // index, redraw the diagram if needed, and display the message
     // on the infoline.
+    // NOTE: Model validation issues relate to an entity rather than to
+    // a time step, so then show this entity instead.
     if(VM.issue_index >= 0) {
-      const
-          issue = VM.issue_list[VM.issue_index],
-          po = issue.indexOf('(t='),
-          pc = issue.indexOf(')', po),
-          t = parseInt(issue.substring(po + 3, pc - 1));
-      if(MODEL.t !== t) {
-        MODEL.t = t;
-        this.updateTimeStep();
-        this.drawDiagram(MODEL);
+      const issue = this.issueList[VM.issue_index];
+      let msg = '';
+      if(issue.object) {
+        this.revealEntity(issue.object);
+        msg = issue.message;
+      } else {
+        const
+            po = issue.indexOf('(t='),
+            pc = issue.indexOf(')', po),
+            t = parseInt(issue.substring(po + 3, pc - 1));
+        if(MODEL.t !== t) {
+          MODEL.t = t;
+          this.updateTimeStep();
+          this.drawDiagram(MODEL);
+        }
+        msg = issue.substring(pc + 2);
       }
       this.info_line.classList.remove('error', 'notification');
       this.info_line.classList.add('warning');
-      this.info_line.innerHTML = issue.substring(pc + 2);
+      this.info_line.innerHTML = msg;
     }
   }
 
+  revealEntity(obj) {
+    // Make the diagram show entity `obj`, and select it.
+    // NOTE: Aspects have no shape of their own, so select the first
+    // coupling that has this aspect.
+    if(obj instanceof Aspect && obj.parent) {
+      const ol = obj.parent.connections.O;
+      for(let i = 0; i < ol.length; i++) {
+        if(ol[i].aspects.indexOf(obj) >= 0) {
+          obj = ol[i];
+          break;
+        }
+      }
+    }
+    const fa = (obj instanceof Link ? obj.from_activity.parent : obj.parent);
+    if(!fa) return;
+    if(fa !== MODEL.focal_activity) this.makeFocalActivity(fa);
+    MODEL.clearSelection();
+    MODEL.select(obj);
+    const shape = this.paper.shapes[obj.identifier];
+    if(shape) this.scrollIntoView(shape.element.childNodes[0]);
+  }
+
   get doubleClicked() {
     // Return TRUE when a "double-click" occurred
     const
@@ -1798,7 +1901,9 @@ class Controller {
     const
         node_btns = 'activity note ',
         edit_btns = 'clone paste delete undo redo ',
-        model_btns = 'settings save savediagram finder subfunction monitor solve';
+        model_btns = 'settings save savediagram network finder subfunction ' +
+            'monitor chart timeline player experiment scenario compare ' +
+            'merge solve';
     if(MODEL === null) {
       this.disableButtons(node_btns + edit_btns + model_btns);
       return;
@@ -2493,11 +2598,7 @@ class Controller {
     if(e.target.classList.contains('disab')) return;
     if(MODEL.t > 0) {
       const dt = (e.shiftKey ? 10 : 1) * (e.ctrlKey || e.metaKey ? 100 : 1);
-      MODEL.t = Math.max(0, MODEL.t - dt);
-      this.updateTimeStep();
-      this.drawDiagram(MODEL);
-      MONITOR.updateDialog();
-      SUBFUNCTION_VIEWER.updateDialog();
+      this.showCycle(Math.max(0, MODEL.t - dt));
     }
   }
   
@@ -2505,14 +2606,24 @@ class Controller {
     if(e.target.classList.contains('disab')) return;
     if(MODEL.t < MODEL.run_length) {
       const dt = (e.shiftKey ? 10 : 1) * (e.ctrlKey || e.metaKey ? 100 : 1);
-      MODEL.t = Math.min(MODEL.run_length, MODEL.t + dt);
-      this.updateTimeStep();
-      this.drawDiagram(MODEL);
-      MONITOR.updateDialog();
-      SUBFUNCTION_VIEWER.updateDialog();
+      this.showCycle(Math.min(MODEL.run_length, MODEL.t + dt));
     }
   }
   
+  showCycle(t) {
+    // Make cycle `t` the current cycle, and update the diagram and all
+    // dialogs that depend on it.
+    MODEL.t = t;
+    this.updateTimeStep();
+    this.drawDiagram(MODEL);
+    MONITOR.updateDialog();
+    SUBFUNCTION_VIEWER.updateDialog();
+    CHART_MANAGER.updateDialog();
+    TIMELINE_MANAGER.updateDialog();
+    PLAYER.updateDialog();
+    RUN_COMPARER.updateCycle();
+  }
+  
   //
   // Special features that may not work in all browsers
   //
@@ -2664,6 +2775,27 @@ class Controller {
     MONITOR.dialog.style.display = 'none';
     this.buttons.monitor.classList.remove('stay-activ');
     MONITOR.reset();
+    CHART_MANAGER.dialog.style.display = 'none';
+    this.buttons.chart.classList.remove('stay-activ');
+    CHART_MANAGER.reset();
+    TIMELINE_MANAGER.dialog.style.display = 'none';
+    this.buttons.timeline.classList.remove('stay-activ');
+    TIMELINE_MANAGER.reset();
+    PLAYER.dialog.style.display = 'none';
+    this.buttons.player.classList.remove('stay-activ');
+    PLAYER.reset();
+    EXPERIMENT_MANAGER.dialog.style.display = 'none';
+    this.buttons.experiment.classList.remove('stay-activ');
+    EXPERIMENT_MANAGER.reset();
+    SCENARIO_MANAGER.dialog.style.display = 'none';
+    this.buttons.scenario.classList.remove('stay-activ');
+    SCENARIO_MANAGER.reset();
+    RUN_COMPARER.dialog.style.display = 'none';
+    this.buttons.compare.classList.remove('stay-activ');
+    RUN_COMPARER.reset();
+    MODEL_MERGER.dialog.style.display = 'none';
+    this.buttons.merge.classList.remove('stay-activ');
+    MODEL_MERGER.reset();
     // No more visible dialogs, so clear their z-index ordering array
     this.dr_dialog_order.length = 0;
   }
@@ -2691,6 +2823,7 @@ class Controller {
     this.drawDiagram(MODEL);
     UNDO_STACK.clear();
     VM.reset();
+    this.validateModel();
     this.updateButtons();
     AUTO_SAVE.setInterval();
   }
@@ -3265,6 +3398,14 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('author').value = model.author;
     md.element('grid-pixels').value = model.grid_pixels;
     md.element('cycles').value = model.run_length;
+    md.element('seed').value = model.random_seed;
+    md.element('start').value = model.start_time;
+    md.element('parameters').value = Object.values(model.parameters)
+        .sort((a, b) => ciCompare(a.name, b.name))
+        .map((p) => `${p.name} = ${p.expression.text}`).join('\n');
+    md.element('macros').value = Object.values(model.macros)
+        .sort((a, b) => ciCompare(a.name, b.name))
+        .map((m) => `${m.displayName} = ${m.text}`).join('\n');
     this.setBox('settings-arrow-heads', model.arrow_heads);
     this.setBox('settings-align-to-grid', model.align_to_grid);
     md.show('name');
@@ -3277,6 +3418,23 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     if(px === false) return false;
     const rl = this.validNumericInput('settings-cycles', 'run length');
     if(rl === false) return false;
+    const st = md.element('start').value.trim();
+    if(st && isNaN(dateTimeToMsec(st))) {
+      this.warn(`Invalid start date-time "${st}" (use YYYY-MM-DD hh:mm)`);
+      md.element('start').focus();
+      return false;
+    }
+    const pl = this.validParameters(model,
+        md.element('parameters').value);
+    if(pl === false) {
+      md.element('parameters').focus();
+      return false;
+    }
+    const ml = this.validMacros(md.element('macros').value);
+    if(ml === false) {
+      md.element('macros').focus();
+      return false;
+    }
     model.name = md.element('name').value.trim();
     // Display model name in browser unless blank
     document.title = model.name || 'FRAMifier';
@@ -3295,6 +3453,21 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     model.align_to_grid = cb;
     model.grid_pixels = Math.floor(px);
     model.run_length = Math.max(1, Math.floor(rl));
+    model.random_seed = md.element('seed').value.trim();
+    // Clock times are displayed relative to the start date-time.
+    if(model.start_time !== st) {
+      model.start_time = st;
+      this.updateTimeStep();
+      redraw = true;
+    }
+    const
+        pc = this.updateParameters(model, pl),
+        mc = this.updateMacros(model, ml);
+    if(pc || mc) {
+      // Parameters and macros may be used in any expression.
+      model.compileExpressions();
+      this.resetModel();
+    }
     // Close the dialog.
     md.hide();
     // Ensure that model documentation can no longer be edited.
@@ -3302,6 +3475,155 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     if(redraw) this.drawDiagram(model);
   }
   
+  validParameters(model, text) {
+    // Return the list of [name, expression text] pairs defined by `text`,
+    // or FALSE (after warning the modeler) if `text` has invalid lines.
+    const
+        pl = [],
+        ids = {},
+        lines = text.split('\n');
+    for(let i = 0; i < lines.length; i++) {
+      const
+          l = lines[i].trim(),
+          eq = l.indexOf('=');
+      if(!l) continue;
+      if(eq < 0) {
+        this.warn(`Parameter "${l}" has no expression (use name = value)`);
+        return false;
+      }
+      const
+          name = this.cleanName(l.substring(0, eq)),
+          xt = monoSpacedVariables(l.substring(eq + 1).trim()),
+          id = this.nameToID(name);
+      if(!this.validName(name)) {
+        this.warningInvalidName(name);
+        return false;
+      }
+      if(ids[id]) {
+        this.warn(`Parameter "${name}" is defined more than once`);
+        return false;
+      }
+      const e = model.namedObjectByID(id);
+      if(e && !(e instanceof Parameter)) {
+        this.warningEntityExists(e);
+        return false;
+      }
+      if(!xt) {
+        this.warn(`Parameter "${name}" has no expression`);
+        return false;
+      }
+      ids[id] = true;
+      pl.push([name, xt]);
+    }
+    return pl;
+  }
+  
+  updateParameters(model, pl) {
+    // Make the parameters of `model` match the list `pl` of [name, text]
+    // pairs, and return TRUE if this changed any parameter.
+    let changed = false;
+    const ids = pl.map((p) => this.nameToID(p[0]));
+    for(let k in model.parameters) if(model.parameters.hasOwnProperty(k)) {
+      if(ids.indexOf(k) < 0) {
+        model.deleteParameter(model.parameters[k]);
+        changed = true;
+      }
+    }
+    for(let i = 0; i < pl.length; i++) {
+      const p = model.addParameter(pl[i][0]);
+      // NOTE: Parameters keep their identity when their name changes only
+      // in upper/lower case.
+      if(p.name !== pl[i][0] || p.expression.text !== pl[i][1]) {
+        p.name = pl[i][0];
+        p.expression.text = pl[i][1];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+  
+  validMacros(text) {
+    // Return the list of [name, argument names, expression text] triples
+    // defined by `text`, or FALSE (after warning the modeler) if `text`
+    // has invalid lines.
+    const
+        ml = [],
+        ids = {},
+        lines = text.split('\n'),
+        // Macro and argument names are single words that must differ
+        // from the symbols in expressions.
+        invalid = (n) => !/^[a-z_][a-z0-9_]*$/i.test(n) ||
+            ACTUAL_SYMBOLS.indexOf(n.toLowerCase()) >= 0;
+    for(let i = 0; i < lines.length; i++) {
+      const
+          l = lines[i].trim(),
+          m = l.match(/^([^(=]*)\(([^)]*)\)\s*=(.*)$/);
+      if(!l) continue;
+      if(!m) {
+        this.warn(`Invalid macro "${l}" (use name(x; y) = expression)`);
+        return false;
+      }
+      const
+          name = m[1].trim(),
+          al = (m[2].trim() ? m[2].split(/[;,]/).map((a) => a.trim()) : []),
+          xt = monoSpacedVariables(m[3].trim()),
+          id = this.nameToID(name);
+      // NOTE: As `2 d` means 2 days, macro names cannot be time units.
+      if(invalid(name) || VM.hoursPerTimeUnit(name) > 0) {
+        this.warn(`Invalid macro name "${name}"`);
+        return false;
+      }
+      if(ids[id]) {
+        this.warn(`Macro "${name}" is defined more than once`);
+        return false;
+      }
+      for(let j = 0; j < al.length; j++) {
+        if(invalid(al[j])) {
+          this.warn(`Invalid argument name "${al[j]}" for macro "${name}"`);
+          return false;
+        }
+        if(ciCompare(al[j], name) === 0 ||
+            al.slice(0, j).some((a) => ciCompare(a, al[j]) === 0)) {
+          this.warn(`Macro "${name}" has argument "${al[j]}" more than once`);
+          return false;
+        }
+      }
+      if(!xt) {
+        this.warn(`Macro "${name}" has no expression`);
+        return false;
+      }
+      ids[id] = true;
+      ml.push([name, al, xt]);
+    }
+    return ml;
+  }
+  
+  updateMacros(model, ml) {
+    // Make the macros of `model` match the list `ml` of [name, arguments,
+    // text] triples, and return TRUE if this changed any macro.
+    let changed = false;
+    const ids = ml.map((m) => this.nameToID(m[0]));
+    for(let k in model.macros) if(model.macros.hasOwnProperty(k)) {
+      if(ids.indexOf(k) < 0) {
+        model.deleteMacro(model.macros[k]);
+        changed = true;
+      }
+    }
+    for(let i = 0; i < ml.length; i++) {
+      const
+          m = model.addMacro(ml[i][0]),
+          al = ml[i][1].join(';');
+      if(m.name !== ml[i][0] || m.arguments.join(';') !== al ||
+          m.text !== ml[i][2]) {
+        m.name = ml[i][0];
+        m.arguments = ml[i][1];
+        m.text = ml[i][2];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+  
   // Note modal
 
   showNotePropertiesDialog(n=null) {
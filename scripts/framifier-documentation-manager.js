@@ -41,6 +41,8 @@ class DocumentationManager {
     this.viewer = document.getElementById('docu-viewer');
     this.edit_btn = document.getElementById('docu-edit-btn');
     this.copy_btn = document.getElementById('docu-copy-btn');
+    this.report_btn = document.getElementById('docu-report-btn');
+    this.tables_btn = document.getElementById('docu-tables-btn');
     this.model_info_btn = document.getElementById('docu-model-info-btn');
     this.save_btn = document.getElementById('docu-save-btn');
     this.cancel_btn = document.getElementById('docu-cancel-btn');
@@ -56,6 +58,10 @@ class DocumentationManager {
         () => DOCUMENTATION_MANAGER.showAllDocumentation());
     this.copy_btn.addEventListener('click',
         () => DOCUMENTATION_MANAGER.copyDocToClipboard());
+    this.report_btn.addEventListener('click',
+        (event) => FILE_MANAGER.saveReport(event));
+    this.tables_btn.addEventListener('click',
+        () => UI.modals.tables.show());
     this.save_btn.addEventListener('click',
         () => DOCUMENTATION_MANAGER.saveMarkup());
     this.cancel_btn.addEventListener('click',
@@ -319,7 +325,7 @@ class DocumentationManager {
         this.entity = e;
         this.markup = (e.comments ? e.comments : '');
         this.editor.value = this.markup;
-        this.viewer.innerHTML = this.markdown;
+        this.viewer.innerHTML = this.markdown + this.fmvData(e);
         this.edit_btn.classList.remove('disab');
         this.edit_btn.classList.add('enab');
         // NOTE: Permit documentation of the model by raising the dialog.
@@ -363,6 +369,25 @@ class DocumentationManager {
     return [par, '<', type, 'l>', list.join(''), '</', type, 'l>'].join('');
   }
   
+  fmvData(e) {
+    // Return the data imported from FRAM Model Visualizer for entity `e`
+    // as an HTML table, or the empty string if there is no such data.
+    if(!(e instanceof NodeBox)) return '';
+    const rows = [];
+    for(let k in e.fmv_data) if(e.fmv_data.hasOwnProperty(k)) {
+      // NOTE: For FMV elements, only their text is displayed.
+      let v = e.fmv_data[k];
+      if(k.split('/').pop().charAt(0) !== '@') {
+        v = xmlDecoded(v.replace(/<[^>]*>/g, ' '));
+      }
+      rows.push('<tr><td>', xmlEncoded(k), '</td><td>',
+          xmlEncoded(v.trim()), '</td></tr>');
+    }
+    if(!rows.length) return '';
+    return '<p><em>FRAM Model Visualizer data:</em></p>' +
+        '<table class="fmv-data">' + rows.join('') + '</table>';
+  }
+  
   get markdown() {
     if(!this.markup) this.markup = '';
     const html = this.markup.split(/\n{2,}/);
@@ -393,6 +418,8 @@ class DocumentationManager {
     this.edit_btn.style.display = 'none';
     this.model_info_btn.style.display = 'none';
     this.copy_btn.style.display = 'none';
+    this.report_btn.style.display = 'none';
+    this.tables_btn.style.display = 'none';
     this.message_hint.style.display = 'none';
     this.save_btn.style.display = 'block';
     this.cancel_btn.style.display = 'block';
@@ -406,7 +433,7 @@ class DocumentationManager {
     this.checkEntity();
     if(this.entity) {
       this.entity.comments = this.markup;
-      this.viewer.innerHTML = this.markdown;
+      this.viewer.innerHTML = this.markdown + this.fmvData(this.entity);
       if(this.entity instanceof Activity) {
         UI.paper.drawActivity(this.entity);
       } else if(this.entity instanceof Link) {
@@ -426,6 +453,8 @@ class DocumentationManager {
     this.edit_btn.style.display = 'block';
     this.model_info_btn.style.display = 'block';
     this.copy_btn.style.display = 'block';
+    this.report_btn.style.display = 'block';
+    this.tables_btn.style.display = 'block';
     this.message_hint.style.display = 'block';
     this.dialog.style.opacity = 0.85;
   }
@@ -514,8 +543,8 @@ class DocumentationManager {
     }
   }
 
-  showAllDocumentation() {
-    // Show (as HTML) all model entities (categorized by type) with their
+  get allDocumentation() {
+    // Return (as HTML) all model entities (categorized by type) with their
     // associated comments (if added by the modeler).
     const
         html = [],
@@ -533,14 +562,97 @@ class DocumentationManager {
         html.push(this.markdown, '</small></p>');
       }
     }
+    return html.join('');
+  }
+
+  showAllDocumentation() {
+    // Show all model documentation in the viewer.
     this.title.innerHTML = 'Complete model documentation';
-    this.viewer.innerHTML = html.join('');
+    this.viewer.innerHTML = this.allDocumentation;
     // Deselect entity and disable editing.
     this.entity = null;
     this.edit_btn.classList.remove('enab');
     this.edit_btn.classList.add('disab');
   }
     
+  modelReport(print=false) {
+    // Return a self-contained HTML document that has the diagrams of the
+    // top activity and all other composite functions, followed by the
+    // complete model documentation. When `print` is TRUE, the document
+    // opens the print dialog when loaded, so it can be saved as PDF.
+    const
+        composites = [],
+        addComposites = (a) => {
+            if(a.sub_activities.length) {
+              composites.push(a);
+              for(let i = 0; i < a.sub_activities.length; i++) {
+                addComposites(a.sub_activities[i]);
+              }
+            }
+          },
+        // NOTE: Preserve the markup being edited, as it is overwritten
+        // while converting comments to HTML.
+        markup = this.markup,
+        // Selected entities would be drawn in red.
+        sel = MODEL.selection.slice(),
+        title = xmlEncoded(MODEL.name || 'FRAM model'),
+        toc = [],
+        sections = [];
+    addComposites(MODEL.top_activity);
+    for(let i = 0; i < sel.length; i++) sel[i].selected = false;
+    for(let i = 0; i < composites.length; i++) {
+      const
+          a = composites[i],
+          top = (a === MODEL.top_activity),
+          h = (top ? 'Model diagram' :
+              `${a.code}. ${xmlEncoded(a.displayName)}`);
+      toc.push(`<li><a href="#d${i}">${h}</a></li>`);
+      sections.push(`<section id="d${i}"><h2>${h}</h2>`);
+      if(!top && a.comments) {
+        this.markup = a.comments;
+        sections.push(this.markdown);
+      }
+      sections.push('<div class="diagram">',
+          UI.paper.diagramAsSVG(MODEL, a), '</div></section>');
+    }
+    toc.push('<li><a href="#ft">Function tables</a></li>',
+        '<li><a href="#doc">Documentation</a></li>');
+    sections.push('<section id="ft"><h2>Function tables</h2>',
+        MODEL.functionTablesAsHTML, '</section>',
+        '<section id="doc">', this.allDocumentation, '</section>');
+    // Restore the diagram and the documentation dialog.
+    for(let i = 0; i < sel.length; i++) sel[i].selected = true;
+    UI.paper.drawModel(MODEL);
+    this.markup = markup;
+    return ['<!DOCTYPE html>', '<html lang="en">', '<head>',
+        '<meta charset="utf-8">', `<title>${title}</title>`,
+        '<style>',
+        'body { font-family: Arial, sans-serif; margin: 2em; }',
+        'h1 { color: #000080; }',
+        'h2 { color: #000080; border-bottom: 1px solid #c0c0c0; }',
+        'tt { font-weight: bold; }',
+        'table.function-table { border-collapse: collapse; ' +
+            'margin-bottom: 1em; }',
+        'table.function-table th, table.function-table td { ' +
+            'border: 1px solid #a0a0a0; padding: 2px 4px; ' +
+            'vertical-align: top; text-align: left; }',
+        'table.function-table th { background-color: #e8f0ff; }',
+        'table.function-table tt { font-weight: normal; }',
+        'div.diagram svg { max-width: 100%; height: auto; }',
+        '@media print {',
+        '  body { margin: 0; }',
+        '  section { break-before: page; }',
+        '  div.diagram svg { max-height: 90vh; }',
+        '}',
+        '</style>', '</head>',
+        (print ? '<body onload="window.print()">' : '<body>'),
+        `<h1>${title}</h1>`,
+        `<p>Author: ${xmlEncoded(MODEL.author || 'unknown')}<br>`,
+        `Date: ${dateToString(new Date())}</p>`,
+        '<ol>', toc.join(''), '</ol>', sections.join('\n'),
+        '</body>', '</html>'].join('\n');
+  }
+  
   copyDocToClipboard() {
     UI.copyHtmlToClipboard(this.viewer.innerHTML);
     UI.notify('Documentation copied to clipboard (as HTML)');
@@ -0,0 +1,372 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-experiment-manager.js) provides the GUI
+functionality for the FRAMifier experiment manager: the draggable dialog
+that allows running a stochastic model many times ("Monte Carlo"), also
+for different settings of aspect expressions ("parameter sweep"), and
+viewing statistics on the variability of the outcomes.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ExperimentManager
+class ExperimentManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('experiment');
+    UI.resizableDialog('experiment', 'EXPERIMENT_MANAGER');
+    this.close_btn = document.getElementById('experiment-close-btn');
+    this.runs = document.getElementById('experiment-runs');
+    this.statistic = document.getElementById('experiment-statistic');
+    this.run_btn = document.getElementById('experiment-run-btn');
+    this.stop_btn = document.getElementById('experiment-stop-btn');
+    this.copy_btn = document.getElementById('experiment-copy-btn');
+    this.add_btn = document.getElementById('experiment-add-btn');
+    this.dimensions_table = document.getElementById('experiment-dimensions');
+    this.table = document.getElementById('experiment-table');
+    this.status = document.getElementById('experiment-status');
+    // The aspect values of a run are characterized by an outcome statistic.
+    const ol = [];
+    for(let i = 0; i < VM.outcome_statistics.length; i++) {
+      const s = VM.outcome_statistics[i];
+      ol.push(`<option value="${s}">${s}</option>`);
+    }
+    this.statistic.innerHTML = ol.join('');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.run_btn.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.startExperiment());
+    this.stop_btn.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.stopExperiment());
+    this.copy_btn.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.copyResults());
+    this.statistic.addEventListener(
+        'change', () => EXPERIMENT_MANAGER.changeStatistic());
+    this.add_btn.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.showDimensionModal(-1));
+    // Modal for adding and modifying dimensions.
+    this.dimension_modal = new ModalDialog('dimension');
+    this.dimension_modal.ok.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.modifyDimension());
+    this.dimension_modal.cancel.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.dimension_modal.hide());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.running = false;
+    this.halted = false;
+    this.updateDialog();
+  }
+  
+  updateButtons() {
+    // Show either the Run or the Stop button, and enable copying only
+    // when there are results to copy.
+    if(this.running) {
+      this.run_btn.classList.add('off');
+      this.stop_btn.classList.remove('off');
+    } else {
+      this.run_btn.classList.remove('off');
+      this.stop_btn.classList.add('off');
+    }
+    const x = (MODEL ? MODEL.experiment : null);
+    if(x && x.results.length && !this.running) {
+      UI.enableButtons('experiment-copy');
+    } else {
+      UI.disableButtons('experiment-copy');
+    }
+  }
+  
+  updateDialog() {
+    // Display the settings and the statistics of the model's experiment.
+    this.updateButtons();
+    this.dimensions_table.innerHTML = '';
+    this.table.innerHTML = '';
+    this.status.innerHTML = '';
+    if(!MODEL) return;
+    const
+        x = MODEL.experiment,
+        n = x.results.length;
+    if(!this.running) {
+      this.runs.value = x.runs;
+      this.statistic.value = x.statistic;
+    }
+    this.updateDimensions();
+    if(!n) {
+      this.status.innerHTML = 'No runs performed yet';
+      return;
+    }
+    this.status.innerHTML = (this.running ?
+        `Run ${n} of ${x.totalRuns}` : pluralS(n, 'run') + ' performed');
+    const
+        fs = x.functionStatistics,
+        as = x.aspectStatistics,
+        num = (v) => (v >= VM.EXCEPTION ? '&ndash;' : VM.sig4Dig(v)),
+        time = (v) => (v >= VM.EXCEPTION ? '&ndash;' : UI.clockTime(v)),
+        html = ['<tr class="experiment-hdr"><td>Function</td>',
+            '<td title="Percentage of runs in which function was activated">',
+            'Activated</td><td title="Mean number of activations per run">',
+            'Per run</td><td title="Mean clock time of first activation">',
+            'First</td><td>SD</td><td>Min</td><td>Max</td></tr>'];
+    for(let i = 0; i < fs.length; i++) {
+      const f = fs[i];
+      html.push('<tr class="dataset"><td>', xmlEncoded(f.name), '</td><td>',
+          Math.round(f.frequency * 100), '%</td><td>',
+          VM.sig4Dig(f.activations), '</td><td>', time(f.first_MEAN),
+          '</td><td>', time(f.first_SD), '</td><td>', time(f.first_MIN),
+          '</td><td>', time(f.first_MAX), '</td></tr>');
+    }
+    html.push('<tr class="experiment-hdr"><td>Aspect</td>',
+        `<td title="Number of runs with a ${x.statistic} value">N</td>`,
+        '<td>Mean</td><td>SD</td><td>Min</td><td>Max</td><td></td></tr>');
+    for(let i = 0; i < as.length; i++) {
+      const a = as[i];
+      html.push('<tr class="dataset"><td>', xmlEncoded(a.name), '</td><td>',
+          a.N, '</td><td>', num(a.MEAN), '</td><td>', num(a.SD),
+          '</td><td>', num(a.MIN), '</td><td>', num(a.MAX),
+          '</td><td></td></tr>');
+    }
+    if(x.swept.length) this.addSweepStatistics(html);
+    this.table.innerHTML = html.join('');
+  }
+  
+  updateDimensions() {
+    // Display the aspects that are varied, and their settings.
+    const
+        dl = MODEL.experiment.activeDimensions,
+        html = [];
+    for(let i = 0; i < dl.length; i++) {
+      const d = MODEL.experiment.dimensions.indexOf(dl[i]);
+      html.push('<tr class="dataset"><td class="experiment-aspect" ',
+          `onclick="EXPERIMENT_MANAGER.showDimensionModal(${d});">`,
+          xmlEncoded(dl[i].aspect.displayName), '</td><td ',
+          `onclick="EXPERIMENT_MANAGER.showDimensionModal(${d});">`,
+          xmlEncoded(dl[i].settings.join('; ')), '</td><td>',
+          '<img class="sbtn enab" src="images/delete.png" ',
+          `onclick="EXPERIMENT_MANAGER.deleteDimension(${d});" `,
+          `title="Do not vary this ${dl[i].aspect.type.toLowerCase()}">`,
+          '</td></tr>');
+    }
+    if(!html.length) {
+      html.push('<tr><td style="color: gray">(no aspects varied)</td></tr>');
+    }
+    this.dimensions_table.innerHTML = html.join('');
+  }
+  
+  addSweepStatistics(html) {
+    // Add to `html` the rows that show for each combination of settings
+    // how often each exit function was reached, and when (on average).
+    const
+        x = MODEL.experiment,
+        exits = x.exitFunctionNames,
+        ss = x.sweepStatistics;
+    html.push('<tr class="experiment-hdr"><td>',
+        xmlEncoded(x.swept.map((d) => d.aspect.displayName).join(' / ')),
+        '</td>');
+    for(let i = 0; i < exits.length; i++) {
+      html.push('<td colspan="2" title="Percentage of runs in which exit ',
+          'function was reached, and mean clock time">', xmlEncoded(exits[i]),
+          '</td>');
+    }
+    html.push('</tr>');
+    for(let i = 0; i < ss.length; i++) {
+      html.push('<tr class="dataset"><td>',
+          xmlEncoded(ss[i].settings.join(' / ')), '</td>');
+      for(let j = 0; j < exits.length; j++) {
+        const
+            e = ss[i].exits[exits[j]],
+            t = e.first_MEAN;
+        html.push('<td>', Math.round(e.frequency * 100), '%</td><td>',
+            (t >= VM.EXCEPTION ? '&ndash;' : UI.clockTime(t)), '</td>');
+      }
+      html.push('</tr>');
+    }
+  }
+  
+  showDimensionModal(index) {
+    // Show the modal for the dimension at position `index` in the list,
+    // or for a new dimension if `index` is negative.
+    if(this.running) return;
+    const
+        md = this.dimension_modal,
+        x = MODEL.experiment,
+        d = (index >= 0 ? x.dimensions[index] : null),
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        al = Object.values(MODEL.aspects).sort(byName),
+        pl = Object.values(MODEL.parameters).sort(byName),
+        options = (list) => {
+            // NOTE: Entities that are already varied cannot be selected
+            // again.
+            const ol = [];
+            for(let i = 0; i < list.length; i++) {
+              const xd = x.dimensionFor(list[i]);
+              if(!xd || xd === d) {
+                ol.push(`<option value="${list[i].identifier}">`,
+                    xmlEncoded(list[i].displayName), '</option>');
+              }
+            }
+            return ol;
+          },
+        aol = options(al),
+        pol = options(pl);
+    if(!aol.length && !pol.length) {
+      UI.notify('All aspects and parameters are already varied');
+      return;
+    }
+    // Parameters are listed separately.
+    md.element('aspect').innerHTML = (pol.length ?
+        ['<optgroup label="Aspects">', ...aol, '</optgroup>',
+            '<optgroup label="Parameters">', ...pol, '</optgroup>'] :
+        aol).join('');
+    if(d) md.element('aspect').value = d.aspect.identifier;
+    md.element('settings').value = (d ? d.settings.join('\n') : '');
+    this.edited_dimension = index;
+    md.show('settings');
+  }
+  
+  modifyDimension() {
+    // Add the new dimension, or update the edited one.
+    const
+        md = this.dimension_modal,
+        x = MODEL.experiment,
+        id = md.element('aspect').value,
+        a = MODEL.aspectByID(id) || MODEL.parameterByID(id),
+        sl = md.element('settings').value.split('\n')
+            .map((s) => s.trim()).filter((s) => s),
+        nd = new ExperimentDimension(a, sl);
+    if(!a) return;
+    if(!nd.values.length) {
+      UI.warn(`No expression settings for ${a.type.toLowerCase()} ` +
+          a.displayName);
+      md.element('settings').focus();
+      return;
+    }
+    if(this.edited_dimension >= 0) {
+      x.dimensions[this.edited_dimension] = nd;
+    } else {
+      x.dimensions.push(nd);
+    }
+    // Results of previous runs no longer match the experiment definition.
+    x.clear();
+    md.hide();
+    this.updateDialog();
+  }
+  
+  deleteDimension(index) {
+    if(this.running) return;
+    MODEL.experiment.dimensions.splice(index, 1);
+    MODEL.experiment.clear();
+    this.updateDialog();
+  }
+  
+  changeStatistic() {
+    // Aspect statistics can be updated without running the model again.
+    MODEL.experiment.statistic = this.statistic.value;
+    this.updateDialog();
+  }
+  
+  startExperiment() {
+    // Perform the set number of runs, updating the dialog after each run.
+    if(this.running) return;
+    const n = safeStrToInt(this.runs.value, 0);
+    if(n < 1) {
+      UI.warn('Number of runs must be a positive integer');
+      this.runs.focus();
+      return;
+    }
+    const x = MODEL.experiment;
+    x.runs = n;
+    x.statistic = this.statistic.value;
+    x.clear();
+    if(x.swept.length) {
+      UI.notify(pluralS(x.sweep.length, 'combination') +
+          ' of settings will be run ' + pluralS(n, 'time'));
+    }
+    this.running = true;
+    this.halted = false;
+    MONITOR.reset();
+    VM.startTimer();
+    UI.startSolving();
+    this.updateDialog();
+    // NOTE: Runs are performed asynchronously, so that the modeler can
+    // stop the experiment.
+    setTimeout(() => EXPERIMENT_MANAGER.performRun(), 10);
+  }
+  
+  performRun() {
+    // NOTE: The experiment is abandoned when the dialog is reset.
+    if(!this.running) return;
+    const x = MODEL.experiment;
+    // NOTE: The modeler may also halt the VM using the Stop button on
+    // the main toolbar.
+    if(this.halted || VM.halted) {
+      UI.notify(`Experiment was stopped after ${pluralS(
+          x.results.length, 'run')}`);
+      this.finishExperiment();
+      return;
+    }
+    try {
+      x.performNextRun();
+    } catch(err) {
+      UI.alert('Experiment failed: ' + err);
+      this.finishExperiment();
+      return;
+    }
+    UI.setProgressNeedle(x.results.length / x.totalRuns);
+    this.updateDialog();
+    if(x.completed) {
+      this.finishExperiment();
+    } else {
+      setTimeout(() => EXPERIMENT_MANAGER.performRun(), 10);
+    }
+  }
+  
+  stopExperiment() {
+    // Let the experiment stop after the current run.
+    this.halted = true;
+    UI.waitToStop();
+  }
+  
+  finishExperiment() {
+    // The diagram shows the results of the last run, unless aspect
+    // expressions have been varied, as these have been restored.
+    this.running = false;
+    if(MODEL.experiment.swept.length) {
+      VM.stopSolving();
+      UI.resetModel();
+    } else {
+      VM.terminateRun();
+    }
+    UI.setProgressNeedle(0);
+    this.updateDialog();
+  }
+  
+  copyResults() {
+    UI.copyStringToClipboard(MODEL.experiment.resultsAsText);
+  }
+
+} // END of class ExperimentManager
@@ -65,6 +65,42 @@ class ExpressionEditor {
   <code title="Logical constant true = 1
 NOTE: any non-zero value evaluates as true">true</code>,
   <code title="Logical constant false = 0">false</code>).
+  Aspects that are not coupled to the function can be referenced as
+  <code title="Output aspect of the named function">[function name|aspect]</code>
+  or <code title="Any aspect in the model">[::aspect]</code>;
+  such hidden dependencies are listed as model issues.
+</p>
+<p>A statistic over a set of variables is written as
+  <code title="Statistic over all aspects in scope with a name that matches the pattern">[SUM$pattern]</code>
+  using <code>MAX</code>, <code>MEAN</code>, <code>MIN</code>,
+  <code>N</code>, <code>SD</code>, <code>SUM</code> or <code>VAR</code>,
+  or these suffixed by <code>NZ</code> to consider only non-zero values.
+  In patterns, <code>*</code> matches any text and <code>#</code> any number.
+  The prefix <code title="Functions with a name that matches the pattern">F?</code>
+  or <code title="Functions performed by agents with a name that matches the pattern">A?</code>
+  selects functions instead of aspects, with value 1 when active and
+  otherwise 0; <code>N</code> counts only the active functions, e.g.,
+  <code title="Number of active functions with a name that starts with &ldquo;Check&rdquo;">[N$F?.Check]</code>.
+</p>
+<h4>Time units</h4>
+<p>Clock time is measured in hours. A number followed by a time unit
+  denotes a duration in hours, e.g.,
+  <code title="30 minutes = 0.5 hours">30 m</code>,
+  <code title="2 days = 48 hours">2 d</code> or
+  <code title="1.5 weeks = 252 hours">1.5 weeks</code>.
+  Units are <code>yr</code>, <code>wk</code>, <code>d</code>,
+  <code>h</code>, <code>m</code> and <code>s</code>, or written in full
+  (<code>year</code>, <code>days</code>, &hellip;).
+  <code title="1 day, 2 hours and 30 minutes = 26.5 hours">1d2h30m</code>
+  combines several units.
+</p>
+<h4>Macros</h4>
+<p>Macros are defined in the model settings, e.g.,
+  <code>clip(x; lo; hi) = x &lt; lo ? lo : (x &gt; hi ? hi : x)</code>,
+  and called like operators, with arguments separated by semicolons, e.g.,
+  <code title="Value of [some aspect], but at least 0 and at most 1">clip([some aspect]; 0; 1)</code>.
+  Variables in the macro expression refer to aspects in the scope of the
+  calling expression.
 </p>
 <h4>Operators</h4>
 <p><em>Monadic:</em>
@@ -57,14 +57,21 @@ class FileManager {
       } else {
         this.last_file_extension = '';
       }
-      if(this.last_file_extension === 'xfmv') {
-        UI.warn('Some data from FRAM Model Visualiser files will be ingnored'); 
-      } else if(this.last_file_extension != 'framf') {
+      const json = (this.last_file_extension === 'json');
+      // NOTE: FMV data that cannot be imported is reported by the model.
+      if(this.last_file_extension != 'framf' && !json &&
+          this.last_file_extension !== 'xfmv') {
         UI.warn('FRAMifier files should have extension .framf');
       }
       const reader = new FileReader();
-      // Read XML string from input file, and then parse it.
-      reader.onload = (event) => UI.loadModelFromXML(event.target.result);
+      // Read XML (or JSON) string from input file, and then parse it.
+      reader.onload = (event) => {
+          if(json) {
+            UI.loadModelFromJSON(event.target.result);
+          } else {
+            UI.loadModelFromXML(event.target.result);
+          }
+        };
       reader.readAsText(file);
     } catch(err) {
       UI.alert('Error while reading file: ' + err);
@@ -82,13 +89,53 @@ class FileManager {
     UI.modals.load.show();
   }
 
-  saveModel() {
+  saveModel(event) {
     // Save the current model as a download (directly from the browser).
     MODEL.clearSelection();
+    if(event && event.shiftKey) {
+      this.saveModelAsJSON();
+      return;
+    }
+    if(event && event.altKey) {
+      this.saveModelAsFMV();
+      return;
+    }
     // NOTE: Encode hashtags, or they will break the URI.
     this.pushModelToBrowser(MODEL.asXML.replace(/#/g, '%23'));
   }
   
+  saveModelAsJSON() {
+    // Download the current model as a JSON file.
+    const
+        json = JSON.stringify(MODEL, null, 2),
+        blob = new Blob([json], {'type': 'application/json'}),
+        e = document.getElementById('svg-saver'),
+        name = fileName(MODEL.name) || 'FRAM-model';
+    UI.setMessage('Model file size: ' + UI.sizeInBytes(json.length));
+    e.download = name + '.json';
+    e.type = 'application/json';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+  
+  saveModelAsFMV() {
+    // Download the current model as a FRAM Model Visualizer file, and
+    // warn the modeler about the information that it will not contain.
+    const
+        issues = [],
+        xml = MODEL.asFMV(issues),
+        blob = new Blob([xml], {'type': 'application/xml'}),
+        e = document.getElementById('svg-saver'),
+        name = fileName(MODEL.name) || 'FRAM-model';
+    e.download = name + '.xfmv';
+    e.type = 'application/xml';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+    if(issues.length) {
+      UI.warn('Not exported to FRAM Model Visualizer: ' + issues.join(', '));
+    }
+  }
+  
   pushModelToBrowser(xml) {
     // Save model as .framf file.
     UI.setMessage('Model file size: ' + UI.sizeInBytes(xml.length));
@@ -185,14 +232,128 @@ class FileManager {
     }
   }
   
-  pushOutSVG(svg) {
+  promptForNetwork() {
+    // Show the "Export network" modal.
+    // NOTE: The focal function option makes sense only when the modeler
+    // is viewing the diagram of a sub-function.
+    UI.setBox('network-focal', MODEL.focal_activity !== MODEL.top_activity);
+    UI.modals.network.show();
+  }
+  
+  saveNetwork() {
+    // Download the network of functions in the format selected in the
+    // "Export network" modal.
+    const
+        md = UI.modals.network,
+        focal = UI.boxChecked('network-focal'),
+        dot = md.element('format').value === 'dot',
+        g = (dot ? MODEL.networkAsDOT(focal) : MODEL.networkAsGraphML(focal)),
+        type = (dot ? 'text/vnd.graphviz' : 'application/xml'),
+        blob = new Blob([g], {'type': type}),
+        e = document.getElementById('svg-saver'),
+        name = fileName(focal && MODEL.focal_activity.parent ?
+            MODEL.focal_activity.displayName : MODEL.name) || 'FRAM-model';
+    md.hide();
+    e.download = name + (dot ? '.dot' : '.graphml');
+    e.type = type;
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+  
+  saveResults(event) {
+    // Download the results of the last run as a CSV file, or copy them
+    // to the clipboard when Shift is pressed.
+    if(!MODEL.solved) {
+      UI.notify('No results to export -- run the simulation first');
+      return;
+    }
+    const csv = MODEL.resultsAsCSV;
+    if(event.shiftKey) {
+      UI.copyStringToClipboard(csv);
+      return;
+    }
+    const
+        blob = new Blob([csv], {'type': 'text/csv'}),
+        e = document.getElementById('svg-saver'),
+        name = fileName(MODEL.name) || 'FRAM-model';
+    e.download = name + '-results.csv';
+    e.type = 'text/csv';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+  
+  saveFunctionTables() {
+    // Download the FRAM function tables in the format selected in the
+    // "Export function tables" modal.
+    const
+        md = UI.modals.tables,
+        format = md.element('format').value,
+        name = (fileName(MODEL.name) || 'FRAM-model') + '-functions';
+    let data,
+        type;
+    if(format === 'csv') {
+      data = MODEL.functionTablesAsCSV;
+      type = 'text/csv';
+    } else if(format === 'md') {
+      data = MODEL.functionTablesAsMarkdown;
+      type = 'text/markdown';
+    } else {
+      const title = xmlEncoded('Function tables of ' +
+          (MODEL.name || 'FRAM model'));
+      data = ['<!DOCTYPE html>', '<html lang="en">', '<head>',
+          '<meta charset="utf-8">', `<title>${title}</title>`, '<style>',
+          'body { font-family: Arial, sans-serif; }',
+          'table { border-collapse: collapse; }',
+          'th, td { border: 1px solid #a0a0a0; padding: 2px 4px; ' +
+              'vertical-align: top; text-align: left; }',
+          'th { background-color: #e8f0ff; }',
+          '</style>', '</head>', '<body>', `<h1>${title}</h1>`,
+          MODEL.functionTablesAsHTML, '</body>', '</html>'].join('\n');
+      type = 'text/html';
+    }
+    md.hide();
+    const
+        blob = new Blob([data], {'type': type}),
+        e = document.getElementById('svg-saver');
+    e.download = name + '.' + format;
+    e.type = type;
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+  
+  saveReport(event) {
+    // Download the model report as HTML document, or, when Shift-clicked,
+    // open it in a new browser window to print it.
+    if(event.shiftKey) {
+      const w = window.open('', '_blank');
+      if(!w) {
+        UI.warn('Browser did not permit to open a new window');
+        return;
+      }
+      w.document.write(DOCUMENTATION_MANAGER.modelReport(true));
+      w.document.close();
+      return;
+    }
+    const
+        html = DOCUMENTATION_MANAGER.modelReport(),
+        blob = new Blob([html], {'type': 'text/html'}),
+        e = document.getElementById('svg-saver');
+    e.download = (fileName(MODEL.name) || 'FRAM-model') + '-report.html';
+    e.type = 'text/html';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+  
+  pushOutSVG(svg, suffix='') {
+    // Download `svg` as file, named after the focal activity or the model.
+    // NOTE: The suffix distinguishes charts from diagrams.
     const
         blob = new Blob([svg], {'type': 'image/svg+xml'}),
         e = document.getElementById('svg-saver'),
         name = fileName(MODEL.focal_activity.parent ?
             MODEL.focal_activity.displayName : MODEL.name) ||
         'FRAM-model';
-    e.download = name + '.svg';
+    e.download = name + (suffix ? '-' + suffix : '') + '.svg';
     e.type = 'image/svg+xml';
     e.href = (window.URL || webkitURL).createObjectURL(blob);
     e.click();
@@ -0,0 +1,418 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-headless.js) provides a simulation engine
+that runs FRAMifier models without a browser. When loaded as a Node.js
+module, it evaluates the model and VM scripts in the global context, and
+replaces the GUI controller and the monitor by "headless" objects that do
+not refer to the DOM.
+
+Usage example (in Node.js):
+
+    const {HeadlessEngine} = require('./scripts/framifier-headless.js');
+    const engine = new HeadlessEngine();
+    engine.loadModelFile('my-model.framf');
+    const results = engine.run();
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS HeadlessXMLNode mimics the (small) part of the DOM node interface
+// that FRAMifier uses when parsing model files.
+class HeadlessXMLNode {
+  constructor(type, name, value=null) {
+    // NOTE: Only element nodes (1) and text nodes (3) are created.
+    this.nodeType = type;
+    this.nodeName = name;
+    this.tagName = (type === 1 ? name : undefined);
+    this.nodeValue = value;
+    // Like a DOM attribute map, the attribute list holds objects having
+    // a name and a value.
+    this.attributes = [];
+    this.attributes.item = (i) => this.attributes[i] || null;
+    this.parentNode = null;
+    this.childNodes = [];
+    // Like a DOM node list, the child node list has an `item` method.
+    this.childNodes.item = (i) => this.childNodes[i] || null;
+  }
+
+  appendChild(node) {
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  removeChild(node) {
+    const i = this.childNodes.indexOf(node);
+    if(i >= 0) this.childNodes.splice(i, 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  getAttribute(name) {
+    // Return NULL (like the DOM does) if the attribute is not set.
+    for(let i = 0; i < this.attributes.length; i++) {
+      if(this.attributes[i].name === name) return this.attributes[i].value;
+    }
+    return null;
+  }
+
+  getElementsByTagName(tag) {
+    // Return list of all descendant elements having name `tag`.
+    const list = [];
+    list.item = (i) => list[i] || null;
+    for(let i = 0; i < this.childNodes.length; i++) {
+      const c = this.childNodes[i];
+      if(c.nodeType === 1) {
+        if(c.nodeName === tag) list.push(c);
+        list.push(...c.getElementsByTagName(tag));
+      }
+    }
+    return list;
+  }
+
+} // END of class HeadlessXMLNode
+
+
+// CLASS HeadlessXMLParser replaces the browser's DOMParser.
+class HeadlessXMLParser {
+  decodedEntities(str) {
+    // Replace the standard XML entities and character references in `str`
+    // by the characters they represent.
+    const ent = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+    return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => {
+        if(e.startsWith('#x')) {
+          return String.fromCodePoint(parseInt(e.substring(2), 16));
+        }
+        if(e.startsWith('#')) {
+          return String.fromCodePoint(parseInt(e.substring(1)));
+        }
+        return (ent.hasOwnProperty(e) ? ent[e] : m);
+      });
+  }
+
+  parseFromString(xml) {
+    // Return a "document" object having the root element of `xml` as
+    // its document element.
+    // NOTE: Syntax errors are thrown as a string, as parseXML would do
+    // when the browser's DOM parser reports an error.
+    const
+        doc = new HeadlessXMLNode(9, '#document'),
+        tag_re = /^<([^\s\/>]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/,
+        attr_re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+        n = xml.length;
+    let node = doc,
+        i = 0;
+    while(i < n) {
+      const lt = xml.indexOf('<', i);
+      if(lt < 0 || lt > i) {
+        // Text up to the next tag (or the end of the string).
+        const text = xml.substring(i, lt < 0 ? n : lt);
+        if(node !== doc) {
+          node.appendChild(new HeadlessXMLNode(
+              3, '#text', this.decodedEntities(text)));
+        } else if(/\S/.test(text)) {
+          throw 'Text outside the document element';
+        }
+        if(lt < 0) break;
+        i = lt;
+      }
+      if(xml.startsWith('<?', i)) {
+        // Skip the XML declaration and processing instructions.
+        const e = xml.indexOf('?>', i);
+        if(e < 0) throw 'Unterminated processing instruction';
+        i = e + 2;
+      } else if(xml.startsWith('<!--', i)) {
+        // Skip comments.
+        const e = xml.indexOf('-->', i);
+        if(e < 0) throw 'Unterminated comment';
+        i = e + 3;
+      } else if(xml.startsWith('<![CDATA[', i)) {
+        const e = xml.indexOf(']]>', i);
+        if(e < 0) throw 'Unterminated CDATA section';
+        node.appendChild(new HeadlessXMLNode(
+            3, '#text', xml.substring(i + 9, e)));
+        i = e + 3;
+      } else if(xml.startsWith('<!', i)) {
+        // Skip the document type declaration.
+        const e = xml.indexOf('>', i);
+        if(e < 0) throw 'Unterminated declaration';
+        i = e + 1;
+      } else if(xml.startsWith('</', i)) {
+        const
+            e = xml.indexOf('>', i),
+            tag = xml.substring(i + 2, e).trim();
+        if(e < 0 || tag !== node.nodeName) {
+          throw `Unexpected closing tag </${tag}>`;
+        }
+        node = node.parentNode;
+        i = e + 1;
+      } else {
+        const m = xml.substring(i).match(tag_re);
+        if(!m) throw 'Invalid tag at position ' + i;
+        if(node === doc && doc.childNodes.length) {
+          throw 'More than one document element';
+        }
+        const el = node.appendChild(new HeadlessXMLNode(1, m[1]));
+        let am;
+        while((am = attr_re.exec(m[2])) !== null) {
+          el.attributes.push({name: am[1], value: this.decodedEntities(
+              am[2] !== undefined ? am[2] : am[3])});
+        }
+        if(!m[3]) node = el;
+        i += m[0].length;
+      }
+    }
+    if(node !== doc) throw `Missing closing tag </${node.nodeName}>`;
+    if(!doc.childNodes.length) throw 'No document element';
+    doc.documentElement = doc.childNodes[0];
+    return doc;
+  }
+
+} // END of class HeadlessXMLParser
+
+
+// CLASS HeadlessController provides the properties and methods of the GUI
+// controller that the model and the VM rely on, but without any graphics.
+class HeadlessController {
+  constructor() {
+    // Borrow the methods of the GUI controller that do not use the DOM.
+    const methods = ['textSize', 'stringToLineArray', 'sizeInBytes',
+        'cleanName', 'validName', 'prefixesAndName', 'completePrefix',
+        'sharedPrefix', 'colonPrefixedName', 'tailNumber', 'compareFullNames',
+        'linkIdentifier', 'nameToID', 'notify', 'warn', 'alert',
+        'warningInvalidName', 'warningEntityExists', 'clockTime'];
+    for(let i = 0; i < methods.length; i++) {
+      this[methods[i]] = Controller.prototype[methods[i]];
+    }
+    // NOTE: Without paper, text sizes are estimated.
+    this.paper = null;
+    this.dragged_node = null;
+    this.aspect_type = {
+      'C': 'Control',
+      'O': 'Output',
+      'R': 'Resource',
+      'P': 'Precondition',
+      'I': 'Input',
+      'T': 'Time'
+    };
+    // Strings used to identify special entities must be the same as
+    // those defined by the GUI controller.
+    this.TOP_ACTIVITY_NAME = '(top-level function)';
+    this.NO_ACTOR = '(no agent)';
+    this.BASE_SCENARIO = '(base model)';
+    this.OA_SEPARATOR = '|';
+    this.PREFIXER = ': ';
+    this.COUPLING = '\u223C';
+    this.DIRECTED_COUPLING = '\u219D';
+    this.LINK_ARROW = this.COUPLING;
+    // Messages are not displayed, but kept in a list.
+    this.messages = [];
+  }
+
+  setMessage(msg, type=null, cause='') {
+    // Record `msg`, and log errors and warnings on the console.
+    // NOTE: The console is stderr so as not to interfere with output.
+    if(type) {
+      // Strip HTML tags from message text.
+      msg = msg.replace(/<[^>]*>?/gm, '');
+      this.messages.push({status: type, text: msg});
+      if(type === 'error' || type === 'warning') {
+        console.error(`${type.toUpperCase()}: ${msg}`);
+        if(cause) console.error('Cause:', cause);
+      }
+    }
+  }
+
+  // Methods that update the GUI have no effect.
+  drawDiagram() {}
+  drawSelection() {}
+  drawObject() {}
+  updateButtons() {}
+  updateIssuePanel() {}
+  updateTimeStep() {}
+  readyToSolve() {}
+  startSolving() {}
+  stopSolving() {}
+  waitToStop() {}
+  readyToReset() {}
+  setProgressNeedle() {}
+  waitingCursor() {}
+  normalCursor() {}
+
+} // END of class HeadlessController
+
+
+// CLASS HeadlessMonitor stands in for the VM monitor dialog.
+class HeadlessMonitor {
+  reset() {}
+  updateDialog() {}
+  updateMonitorTime() {}
+  showCallStack() {}
+  hideCallStack() {}
+} // END of class HeadlessMonitor
+
+
+// CLASS HeadlessEngine loads a model and runs it synchronously.
+class HeadlessEngine {
+  constructor() {
+    this.file_name = '';
+    this.file_extension = '';
+  }
+
+  loadModel(xml) {
+    // Parse XML string `xml` and make it the current model.
+    // NOTE: Parse errors are thrown, as there is no modeler to alert.
+    // JSON files are parsed as JSON.
+    MODEL = new FRAMifierModel();
+    if(this.file_extension === 'json') {
+      MODEL.fromJSON(JSON.parse(xml));
+    } else {
+      MODEL.parseXML(xml);
+    }
+    UI.LINK_ARROW = (MODEL.arrow_heads ? UI.DIRECTED_COUPLING : UI.COUPLING);
+    if(this.file_extension === 'xfmv') {
+      // FRAM Model Visualizer files do not specify a model name, so use
+      // the file name.
+      const parts = this.file_name.split('.');
+      if(parts.length > 1) parts.pop();
+      MODEL.name = parts.join('.');
+    }
+    return MODEL;
+  }
+
+  loadModelFile(path) {
+    // Read the model file at `path`, and then load the model.
+    const fs = require('fs');
+    this.file_name = require('path').basename(path);
+    this.file_extension = (this.file_name.indexOf('.') >= 0 ?
+        this.file_name.split('.').pop().toLowerCase() : '');
+    return this.loadModel(fs.readFileSync(path, 'utf8'));
+  }
+
+  run(run_length=0) {
+    // Run the current model for all cycles, and return the results.
+    // NOTE: A positive `run_length` overrides the model setting.
+    if(!MODEL) throw 'No model to run';
+    if(run_length > 0) MODEL.run_length = Math.floor(run_length);
+    VM.runAllCycles();
+    return this.results;
+  }
+
+  runExperiment(runs=0, run_length=0) {
+    // Perform the experiment defined for the current model, and return it.
+    // NOTE: A positive `runs` overrides the number of runs per combination
+    // of dimension settings.
+    if(!MODEL) throw 'No model to run';
+    if(run_length > 0) MODEL.run_length = Math.floor(run_length);
+    const x = MODEL.experiment;
+    if(runs > 0) x.runs = Math.floor(runs);
+    x.clear();
+    while(!x.completed) x.performNextRun();
+    return x;
+  }
+
+  get results() {
+    // Return the results of the last run as "plain" data, so that they
+    // can be stored as JSON.
+    const
+        acts = MODEL.top_activity.leafActivities,
+        asps = Object.values(MODEL.aspects),
+        cycles = [];
+    for(let t = 0; t <= MODEL.run_length; t++) {
+      const
+          cas = {},
+          cvs = {};
+      for(let i = 0; i < acts.length; i++) {
+        const
+            a = acts[i],
+            s = {};
+        for(let c of 'CORPIT') s[c] = a.state[c][t];
+        cas[a.displayName] = s;
+      }
+      for(let i = 0; i < asps.length; i++) {
+        cvs[asps[i].displayName] = asps[i].value(t);
+      }
+      cycles.push({
+          cycle: t,
+          clock_time: MODEL.clock_time[t],
+          activities: cas,
+          aspects: cvs
+        });
+    }
+    return {
+        name: MODEL.name,
+        author: MODEL.author,
+        run_length: MODEL.run_length,
+        cycles: cycles,
+        messages: VM.messages.slice(),
+        issues: VM.issue_list.slice()
+      };
+  }
+
+} // END of class HeadlessEngine
+
+
+function loadFRAMifierScripts() {
+  // Evaluate the FRAMifier scripts in the global context, so that their
+  // classes and functions are globally defined, as in the browser, and
+  // then create the global objects that these scripts rely on.
+  const
+      fs = require('fs'),
+      path = require('path'),
+      vm = require('vm'),
+      root = path.join(__dirname, '..'),
+      // NOTE: The version number is defined in the HTML document.
+      html = fs.readFileSync(path.join(root, 'index.html'), 'utf8'),
+      vn = html.match(/FRAMIFIER_VERSION = '([^']+)'/);
+  globalThis.FRAMIFIER_VERSION = (vn ? vn[1] : '?');
+  const sl = ['-config', '-model', '-controller', '-vm', '-utils'];
+  for(let i = 0; i < sl.length; i++) {
+    const
+        fn = path.join(__dirname, 'framifier' + sl[i] + '.js'),
+        code = fs.readFileSync(fn, 'utf8');
+    vm.runInThisContext(code, {filename: fn});
+  }
+  // NOTE: Managers of GUI dialogs are not used, but must be defined.
+  globalThis.MODEL = null;
+  globalThis.DOCUMENTATION_MANAGER = null;
+  globalThis.SUBFUNCTION_VIEWER = null;
+  globalThis.UNDO_STACK = null;
+  globalThis.XML_PARSER = new HeadlessXMLParser();
+  globalThis.UI = new HeadlessController();
+  globalThis.MONITOR = new HeadlessMonitor();
+  globalThis.VM = new VirtualMachine();
+  MODEL = new FRAMifierModel();
+}
+
+// When required as a Node.js module, load the scripts and export the
+// headless engine.
+if(typeof module === 'object' && module.exports) {
+  loadFRAMifierScripts();
+  module.exports = {
+    HeadlessEngine: HeadlessEngine,
+    HeadlessXMLParser: HeadlessXMLParser
+  };
+}
@@ -0,0 +1,221 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-model-merger.js) provides the GUI
+functionality for the FRAMifier model merger: the draggable dialog that
+lists the differences between the current model and another model file,
+and merges the selected differences into the current model.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ModelMerger
+class ModelMerger {
+  constructor() {
+    this.dialog = UI.draggableDialog('merge');
+    UI.resizableDialog('merge', 'MODEL_MERGER');
+    this.close_btn = document.getElementById('merge-close-btn');
+    this.load_btn = document.getElementById('merge-load-btn');
+    this.file_input = document.getElementById('merge-file');
+    this.other_name = document.getElementById('merge-other');
+    this.all_box = document.getElementById('merge-all');
+    this.apply_btn = document.getElementById('merge-apply-btn');
+    this.copy_btn = document.getElementById('merge-copy-btn');
+    this.table = document.getElementById('merge-table');
+    this.status = document.getElementById('merge-status');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.load_btn.addEventListener(
+        'click', () => MODEL_MERGER.file_input.click());
+    this.file_input.addEventListener(
+        'change', () => MODEL_MERGER.readOtherModel());
+    this.all_box.addEventListener(
+        'click', () => MODEL_MERGER.toggleAll());
+    this.apply_btn.addEventListener(
+        'click', () => MODEL_MERGER.mergeSelected());
+    this.copy_btn.addEventListener(
+        'click', () => MODEL_MERGER.copyDifferences());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.comparison = null;
+    this.file_name = '';
+    // Keys of the differences selected for merging.
+    this.selection = [];
+    this.updateDialog();
+  }
+  
+  updateButtons() {
+    const
+        c = this.comparison,
+        n = (c ? c.differences.length : 0);
+    if(n) {
+      UI.enableButtons('merge-copy');
+    } else {
+      UI.disableButtons('merge-copy');
+    }
+    if(n && this.selection.length) {
+      UI.enableButtons('merge-apply');
+    } else {
+      UI.disableButtons('merge-apply');
+    }
+    UI.setBox('merge-all', n && this.selection.length === n);
+  }
+  
+  updateDialog() {
+    // List the differences between the current model and the other model.
+    const c = this.comparison;
+    this.table.innerHTML = '';
+    if(!c) {
+      this.other_name.innerHTML = '(no model to compare with)';
+      this.status.innerHTML =
+          'Load a model file to compare this model with';
+      this.updateButtons();
+      return;
+    }
+    this.other_name.innerHTML = xmlEncoded(this.file_name);
+    // NOTE: The current model may have been modified, so compare again.
+    c.compare();
+    const
+        dl = c.differences,
+        keys = dl.map((d) => d.key),
+        html = [];
+    // Keep only the selected differences that still exist.
+    this.selection = this.selection.filter((k) => keys.indexOf(k) >= 0);
+    let type = '';
+    for(let i = 0; i < dl.length; i++) {
+      const
+          d = dl[i],
+          checked = this.selection.indexOf(d.key) >= 0;
+      if(d.type !== type) {
+        type = d.type;
+        html.push('<tr class="experiment-hdr"><td></td><td>',
+            type.charAt(0).toUpperCase() + type.slice(1),
+            '</td><td></td><td>This model</td><td>Other model</td></tr>');
+      }
+      html.push('<tr class="dataset" ',
+          `onclick="MODEL_MERGER.toggleDifference(${i});"><td>`,
+          '<div class="box ', (checked ? 'checked' : 'clear'),
+          '"></div></td><td>', this.cell(d.name),
+          '</td><td class="merge-change">', c.propertyName(d),
+          '</td><td>', this.cell(c.propertyValue(d, d.entity)),
+          '</td><td>', this.cell(c.propertyValue(d, d.other)),
+          '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML = (dl.length ?
+        pluralS(dl.length, 'difference') +
+            `, ${this.selection.length} selected` :
+        'No differences');
+    this.updateButtons();
+  }
+  
+  cell(text) {
+    // Return `text` as table cell contents, truncating long texts.
+    const max = 60;
+    text = '' + text;
+    if(text.length <= max) return xmlEncoded(text);
+    return `<span title="${xmlEncoded(text)}">` +
+        xmlEncoded(text.substring(0, max)) + '&hellip;</span>';
+  }
+  
+  readOtherModel() {
+    // Read the model file selected by the modeler.
+    const file = this.file_input.files[0];
+    if(!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => MODEL_MERGER.loadOtherModel(
+        event.target.result, file.name);
+    reader.readAsText(file);
+    // NOTE: Clear the file input so that the same file can be loaded again.
+    this.file_input.value = '';
+  }
+  
+  loadOtherModel(xml, name) {
+    // Compare the current model with the model defined by `xml`.
+    try {
+      this.comparison = new ModelComparison(xml);
+      this.file_name = name;
+      this.selection.length = 0;
+    } catch(err) {
+      UI.alert('Failed to load model to compare with: ' + err);
+      this.comparison = null;
+    }
+    this.updateDialog();
+  }
+  
+  toggleDifference(index) {
+    const d = this.comparison.differences[index];
+    if(!d) return;
+    const i = this.selection.indexOf(d.key);
+    if(i >= 0) {
+      this.selection.splice(i, 1);
+    } else {
+      this.selection.push(d.key);
+    }
+    this.updateDialog();
+  }
+  
+  toggleAll() {
+    // Select all differences, or none if all are selected already.
+    const dl = (this.comparison ? this.comparison.differences : []);
+    if(!dl.length) return;
+    if(this.selection.length === dl.length) {
+      this.selection.length = 0;
+    } else {
+      this.selection = dl.map((d) => d.key);
+    }
+    this.updateDialog();
+  }
+  
+  mergeSelected() {
+    // Merge the selected differences into the current model.
+    if(!this.comparison || !this.selection.length) return;
+    // NOTE: The merge is undone by restoring the model as it was.
+    UNDO_STACK.push('merge', MODEL.asXML);
+    const
+        n = this.selection.length,
+        failed = this.comparison.merge(this.selection);
+    if(failed) {
+      UI.warn(`${pluralS(failed, 'difference')} could not be merged`);
+    } else {
+      UI.notify(`${pluralS(n, 'difference')} merged`);
+    }
+    this.selection.length = 0;
+    UI.drawDiagram(MODEL);
+    UI.updateButtons();
+    this.updateDialog();
+  }
+  
+  copyDifferences() {
+    if(this.comparison) {
+      UI.copyStringToClipboard(this.comparison.differencesAsText);
+    }
+  }
+
+} // END of class ModelMerger
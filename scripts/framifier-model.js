@@ -49,6 +49,11 @@ class FRAMifierModel {
     this.activities = {};
     this.aspects = {};
     this.links = {};
+    // Parameters are named expressions that all expressions can use.
+    this.parameters = {};
+    // Macros are named expressions with arguments that all expressions
+    // can call like operators, e.g., `delay([x]; 2)`.
+    this.macros = {};
     this.next_activity_number = 1;
     this.next_aspect_number = 1;
     this.focal_activity = null;
@@ -63,7 +68,17 @@ class FRAMifierModel {
     this.grid_pixels = 20;
     this.align_to_grid = true;
     this.run_length = 10;
+    // NOTE: Runs are reproducible only when a random seed is specified.
+    this.random_seed = '';
+    // Date-time (YYYY-MM-DD hh:mm) at which the clock starts; when empty,
+    // clock times are displayed as hours since the start of the run.
+    this.start_time = '';
     this.last_zoom_factor = 1;
+    // Experiment for repeated runs of stochastic models.
+    this.experiment = new Experiment();
+    // Scenarios override expressions; at most one can be active.
+    this.scenarios = [];
+    this.active_scenario = null;
     
     // Diagram editor related properties.
     this.selected_aspect = null;
@@ -72,6 +87,9 @@ class FRAMifierModel {
     // Set the indicator that the model has not been executed yet.
     this.set_up = false;
     this.solved = false;
+    // Results of the run before the last reset, to compare with the
+    // results of the next run.
+    this.previous_run = null;
     // t is the time step ("tick") shown.
     this.t = 0;
     // Clock time is a vector with for each "tick" the clock time in hours.
@@ -97,6 +115,12 @@ class FRAMifierModel {
     return this.clock_time[this.t];
   }
   
+  get startTime() {
+    // Return the start date-time of the model in milliseconds, or NaN
+    // if no (valid) start date-time has been set.
+    return (this.start_time ? dateTimeToMsec(this.start_time) : NaN);
+  }
+  
   get newActivityCode() {
     // Return the next unused activity code.
     const n = this.next_activity_number;
@@ -143,11 +167,78 @@ class FRAMifierModel {
     return null;
   }
   
+  qualifiedAspects(name) {
+    // Return NULL if variable name `name` is not qualified. Otherwise,
+    // return {name, function, activity, aspects}, where `name` is the
+    // unqualified name, and `aspects` the list of aspects that it can
+    // refer to: all aspects in the model for [::aspect name], or the
+    // output aspects of the function for [function name|aspect name].
+    // When no function has this name, `activity` is NULL.
+    // NOTE: Aspect and parameter names may contain a vertical bar, so
+    // when no function has this name while an aspect or parameter is
+    // named `name`, `name` is not qualified.
+    if(name.startsWith('::')) {
+      return {name: name.substring(2).trim(), function: '', activity: null,
+          aspects: Object.values(this.aspects)};
+    }
+    const sep = name.lastIndexOf('|');
+    if(sep < 0) return null;
+    const
+        fn = name.substring(0, sep).trim(),
+        id = UI.nameToID(fn);
+    let act = this.activityByID(id);
+    if(!act) {
+      // The name of the agent may be omitted if the function name is
+      // unique without it.
+      const al = Object.values(this.activities).filter(
+          (a) => UI.nameToID(a.name) === id);
+      if(al.length === 1) act = al[0];
+    }
+    if(!act) {
+      const nid = UI.nameToID(name);
+      if(this.parameterByID(nid) || Object.values(this.aspects).some(
+          (a) => a.identifier === nid)) return null;
+    }
+    return {name: name.substring(sep + 1).trim(), function: fn,
+        activity: act, aspects: (act ? act.relatedAspects('O') : [])};
+  }
+  
   activityByID(id) {
     if(this.activities.hasOwnProperty(id)) return this.activities[id];
     return null;
   }
   
+  parameterByID(id) {
+    if(this.parameters.hasOwnProperty(id)) return this.parameters[id];
+    return null;
+  }
+  
+  macroByID(id) {
+    if(this.macros.hasOwnProperty(id)) return this.macros[id];
+    return null;
+  }
+  
+  calledMacros(text) {
+    // Return the list of macros that are called in `text`, including the
+    // macros that these macros call in turn.
+    const
+        ml = [],
+        tl = [text];
+    while(tl.length) {
+      // NOTE: Variable names may contain parentheses, so remove them.
+      const cl = tl.pop().replace(/\[[^\[\]]*\]/g, '')
+          .match(/[a-z_][a-z0-9_]*\s*\(/gi) || [];
+      for(let i = 0; i < cl.length; i++) {
+        const m = this.macroByID(UI.nameToID(cl[i].slice(0, -1).trim()));
+        if(m && ml.indexOf(m) < 0) {
+          ml.push(m);
+          tl.push(m.text);
+        }
+      }
+    }
+    return ml;
+  }
+  
   activityByCode(code) {
     for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
       const a = this.activities[k];
@@ -178,6 +269,8 @@ class FRAMifierModel {
     // and experiments)
     let obj = this.nodeBoxByID(id);
     if(obj) return obj;
+    obj = this.parameterByID(id);
+    if(obj) return obj;
     return this.actorByID(id);
   }
   
@@ -343,6 +436,46 @@ class FRAMifierModel {
     return this.actors[id];
   }
 
+  addParameter(name, node=null) {
+    name = UI.cleanName(name);
+    if(!UI.validName(name)) {
+      UI.warningInvalidName(name);
+      return null;
+    }
+    const obj = this.namedObjectByID(UI.nameToID(name));
+    if(obj) {
+      if(obj instanceof Parameter) return obj;
+      UI.warningEntityExists(obj);
+      return null;
+    }
+    const p = new Parameter(name);
+    if(node) p.initFromXML(node);
+    this.parameters[p.identifier] = p;
+    return p;
+  }
+  
+  deleteParameter(p) {
+    // NOTE: Experiment dimensions that vary this parameter become inactive.
+    delete this.parameters[p.identifier];
+  }
+
+  addMacro(name, node=null) {
+    // NOTE: Macros are called without brackets, so their names are not
+    // "named objects" and may coincide with the name of an entity.
+    const id = UI.nameToID(name);
+    let m = this.macroByID(id);
+    if(!m) {
+      m = new Macro(name);
+      this.macros[id] = m;
+    }
+    if(node) m.initFromXML(node);
+    return m;
+  }
+  
+  deleteMacro(m) {
+    delete this.macros[m.identifier];
+  }
+
   addNote(node=null) {
     // Add a note to the focal activity.
     let n = new Note(this.focal_activity);
@@ -1148,6 +1281,8 @@ class FRAMifierModel {
     this.arrow_heads = nodeParameterValue(node, 'arrow-heads') === '1';
     this.align_to_grid = nodeParameterValue(node, 'align-to-grid') === '1';
     this.run_length = safeStrToInt(nodeParameterValue(node, 'run-length'), 10);
+    this.random_seed = xmlDecoded(nodeParameterValue(node, 'seed'));
+    this.start_time = xmlDecoded(nodeParameterValue(node, 'start'));
     this.name = xmlDecoded(nodeContentByTag(node, 'name'));
     this.author = xmlDecoded(nodeContentByTag(node, 'author'));
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
@@ -1167,6 +1302,26 @@ class FRAMifierModel {
         }
       }
     }
+    // Parameters are not related to other entities.
+    n = childNodeByTag(node, 'parameters');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'parameter') {
+          this.addParameter(xmlDecoded(nodeContentByTag(c, 'name')), c);
+        }
+      }
+    }
+    // Macros are compiled only as part of the expressions that call them.
+    n = childNodeByTag(node, 'macros');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'macro') {
+          this.addMacro(xmlDecoded(nodeContentByTag(c, 'name')), c);
+        }
+      }
+    }
     // Then create all aspects (= system properties).
     n = childNodeByTag(node, 'aspects');
     if(n && n.childNodes) {
@@ -1224,6 +1379,24 @@ class FRAMifierModel {
     // Ensure that aspects have the most "upstream" function as parent.
     this.attributeAspects();
 */
+    // The experiment may vary aspect expressions, so its dimensions can
+    // only be initialized when all aspects exist.
+    n = childNodeByTag(node, 'experiment');
+    if(n) this.experiment.initFromXML(n);
+    // Scenarios likewise refer to aspects and activities.
+    n = childNodeByTag(node, 'scenarios');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'scenario') {
+          const sc = new Scenario(xmlDecoded(nodeParameterValue(c, 'name')));
+          sc.initFromXML(c);
+          if(sc.name && !this.scenarioByName(sc.name)) this.scenarios.push(sc);
+        }
+      }
+      this.activateScenario(
+          this.scenarioByName(xmlDecoded(nodeParameterValue(n, 'active'))));
+    }
     this.focal_activity = this.top_activity;
     // Recompile expressions so that they refer to the correct aspects.
     this.compileExpressions();
@@ -1234,6 +1407,8 @@ class FRAMifierModel {
         '" next-aspect-number="', this.next_aspect_number,
         '" zoom="', this.last_zoom_factor,
         '" run-length="', this.run_length, '"'].join('');
+    if(this.random_seed) p += ` seed="${xmlEncoded(this.random_seed)}"`;
+    if(this.start_time) p += ` start="${xmlEncoded(this.start_time)}"`;
     if(this.arrow_heads) p += ' arrow-heads="1"';
     if(this.align_to_grid) p += ' align-to-grid="1"';
     let xml = this.xml_header + ['<model', p, '><name>',  xmlEncoded(this.name),
@@ -1249,7 +1424,17 @@ class FRAMifierModel {
         xml += this.actors[a].asXML;
       }
     }
-    xml += '</actors><aspects>';
+    xml += '</actors>';
+    const pl = Object.values(this.parameters);
+    if(pl.length) {
+      xml += '<parameters>' + pl.map((p) => p.asXML).join('') +
+          '</parameters>';
+    }
+    const ml = Object.values(this.macros);
+    if(ml.length) {
+      xml += '<macros>' + ml.map((m) => m.asXML).join('') + '</macros>';
+    }
+    xml += '<aspects>';
     for(let a in this.aspects) {
       if(this.aspects.hasOwnProperty(a)) xml += this.aspects[a].asXML;
     }
@@ -1261,7 +1446,238 @@ class FRAMifierModel {
     for(let l in this.links) {
       if(this.links.hasOwnProperty(l)) xml += this.links[l].asXML;
     }
-    return xml + '</links></model>';
+    xml += '</links>' + this.experiment.asXML;
+    if(this.scenarios.length) {
+      xml += '<scenarios' + (this.active_scenario ?
+          ` active="${xmlEncoded(this.active_scenario.name)}"` : '') + '>';
+      for(let i = 0; i < this.scenarios.length; i++) {
+        xml += this.scenarios[i].asXML;
+      }
+      xml += '</scenarios>';
+    }
+    return xml + '</model>';
+  }
+
+  parseJSON(data) {
+    // Parse data string as JSON, and initialize the model from it.
+    try {
+      this.fromJSON(JSON.parse(data));
+      return true;
+    } catch(err) {
+      // Cursor is set to WAITING when loading starts
+      UI.normalCursor();
+      UI.alert('Error while parsing JSON model: ' + err);
+      return false;
+    }
+  }
+
+  toJSON() {
+    // Return the model as a plain object that `fromJSON` accepts.
+    // NOTE: JSON.stringify calls this method, so JSON.stringify(MODEL)
+    // returns the complete model as a JSON string. The schema of this
+    // object is documented in the README file. Like the XML, it refers
+    // to activities and aspects by their codes.
+    const
+        lm = this.last_modified,
+        obj = {
+          format: 'FRAMifier',
+          version: FRAMIFIER_VERSION,
+          name: this.name,
+          author: this.author,
+          comments: this.comments,
+          last_saved: (isNaN(lm) ? '' : lm.toISOString()),
+          next_activity_number: this.next_activity_number,
+          next_aspect_number: this.next_aspect_number,
+          zoom: this.last_zoom_factor,
+          run_length: this.run_length,
+          seed: this.random_seed,
+          start: this.start_time,
+          arrow_heads: this.arrow_heads,
+          align_to_grid: this.align_to_grid,
+          grid_pixels: this.grid_pixels,
+          actors: [],
+          parameters: Object.values(this.parameters).map((p) => p.toJSON()),
+          macros: Object.values(this.macros).map((m) => m.toJSON()),
+          aspects: [],
+          activities: [],
+          links: [],
+          experiment: this.experiment.toJSON(),
+          scenarios: [],
+          active_scenario: (this.active_scenario ?
+              this.active_scenario.name : '')
+        };
+    for(let a in this.actors) {
+      // NOTE: Like in the XML, "(no actor)" is omitted.
+      if(this.actors.hasOwnProperty(a) && a != UI.nameToID(UI.NO_ACTOR)) {
+        obj.actors.push(this.actors[a].toJSON());
+      }
+    }
+    for(let a in this.aspects) if(this.aspects.hasOwnProperty(a)) {
+      obj.aspects.push(this.aspects[a].toJSON());
+    }
+    for(let a in this.activities) if(this.activities.hasOwnProperty(a)) {
+      obj.activities.push(this.activities[a].toJSON());
+    }
+    for(let l in this.links) if(this.links.hasOwnProperty(l)) {
+      obj.links.push(this.links[l].toJSON());
+    }
+    for(let i = 0; i < this.scenarios.length; i++) {
+      obj.scenarios.push(this.scenarios[i].toJSON());
+    }
+    return obj;
+  }
+
+  fromJSON(obj) {
+    // Initialize a model from object `obj` as returned by `toJSON`.
+    // NOTE: Entities are created in the same order as by `initFromXML`.
+    if(!obj || obj.format !== 'FRAMifier') throw 'Not a FRAMifier model';
+    this.reset();
+    this.name = obj.name || '';
+    this.author = obj.author || '';
+    this.comments = obj.comments || '';
+    this.last_modified = new Date(obj.last_saved || Date.now());
+    this.version = obj.version || '';
+    this.last_zoom_factor = obj.zoom || 1;
+    this.run_length = Math.max(1, parseInt(obj.run_length) || 10);
+    this.random_seed = obj.seed || '';
+    this.start_time = obj.start || '';
+    this.arrow_heads = obj.arrow_heads === true;
+    this.align_to_grid = obj.align_to_grid === true;
+    this.grid_pixels = Math.max(10, parseInt(obj.grid_pixels) || 0);
+    const
+        list = (l) => (Array.isArray(l) ? l : []),
+        actors = list(obj.actors),
+        parameters = list(obj.parameters),
+        macros = list(obj.macros),
+        aspects = list(obj.aspects),
+        activities = list(obj.activities),
+        links = list(obj.links),
+        scenarios = list(obj.scenarios);
+    for(let i = 0; i < actors.length; i++) {
+      this.addActor(actors[i].name || '').fromJSON(actors[i]);
+    }
+    for(let i = 0; i < parameters.length; i++) {
+      const p = this.addParameter(parameters[i].name || '');
+      if(p) p.fromJSON(parameters[i]);
+    }
+    for(let i = 0; i < macros.length; i++) {
+      if(macros[i].name) this.addMacro(macros[i].name).fromJSON(macros[i]);
+    }
+    for(let i = 0; i < aspects.length; i++) {
+      // NOTE: Aspects initially belong to no link.
+      const a = this.addAspect(aspects[i].name || '', null);
+      if(a) a.fromJSON(aspects[i]);
+    }
+    for(let i = 0; i < activities.length; i++) {
+      const
+          ao = activities[i],
+          a = this.addActivity(ao.name || '', ao.actor || '');
+      // NOTE: This also initializes the top activity.
+      if(a) a.fromJSON(ao);
+    }
+    // Activities and aspects have been assigned new codes when they were
+    // created, so only now the code counters can be restored.
+    this.next_activity_number = parseInt(obj.next_activity_number) ||
+        this.next_activity_number;
+    this.next_aspect_number = parseInt(obj.next_aspect_number) ||
+        this.next_aspect_number;
+    this.rescueOrphans();
+    for(let i = 0; i < links.length; i++) {
+      const
+          lo = links[i],
+          fa = this.activityByCode('' + lo.from),
+          ta = this.activityByCode('' + lo.to);
+      if(fa && ta && 'CRPIT'.indexOf(lo.connector) >= 0 &&
+          lo.connector.length === 1) {
+        this.addLink(fa, ta, lo.connector).fromJSON(lo);
+      } else {
+        console.log('ERROR: Failed to add link from', lo.from, 'to', lo.to);
+      }
+    }
+    if(obj.experiment) this.experiment.fromJSON(obj.experiment);
+    for(let i = 0; i < scenarios.length; i++) {
+      const sc = new Scenario(scenarios[i].name || '');
+      sc.fromJSON(scenarios[i]);
+      if(sc.name && !this.scenarioByName(sc.name)) this.scenarios.push(sc);
+    }
+    this.activateScenario(this.scenarioByName(obj.active_scenario || ''));
+    this.focal_activity = this.top_activity;
+    this.compileExpressions();
+  }
+  
+  //
+  // Methods related to scenarios
+  //
+  
+  scenarioByName(name) {
+    // Return the scenario named `name` (case-insensitive), or NULL.
+    for(let i = 0; i < this.scenarios.length; i++) {
+      if(ciCompare(this.scenarios[i].name, name) === 0) {
+        return this.scenarios[i];
+      }
+    }
+    return null;
+  }
+  
+  activateScenario(sc) {
+    // Make `sc` the active scenario; NULL denotes the base model.
+    // NOTE: Results of a previous run are no longer valid, so the VM
+    // must be reset by the caller.
+    if(this.active_scenario === sc) return;
+    if(this.active_scenario) this.active_scenario.deactivate();
+    this.active_scenario = sc;
+    if(sc) sc.activate();
+  }
+  
+  compareScenarios() {
+    // Run the base model and then each scenario once, and return a list
+    // of {name, run} where `run` records the outcomes of this run.
+    // NOTE: The scenario that was active will be active again, but the
+    // VM must then be reset by the caller.
+    const
+        asc = this.active_scenario,
+        cl = [];
+    try {
+      for(let i = 0; i <= this.scenarios.length; i++) {
+        const sc = (i ? this.scenarios[i - 1] : null);
+        this.activateScenario(sc);
+        VM.runAllCycles(null, false);
+        const r = new ExperimentRun(i + 1, this.random_seed);
+        r.record();
+        cl.push({name: (sc ? sc.name : UI.BASE_SCENARIO), run: r});
+      }
+    } finally {
+      this.activateScenario(asc);
+    }
+    return cl;
+  }
+  
+  scenarioComparisonAsText(cl) {
+    // Return the scenario comparison `cl` as tab-separated text, with
+    // one column per scenario.
+    if(!cl.length) return '';
+    const
+        stat = this.experiment.statistic,
+        r0 = cl[0].run,
+        fnames = Object.keys(r0.activations).sort(ciCompare),
+        anames = Object.keys(r0.outcomes).sort(ciCompare),
+        num = (x) => (x >= VM.EXCEPTION ? '' : x),
+        // NOTE: Functions that are never activated have first time -1.
+        time = (x) => (x < 0 ? '' : x),
+        lines = [['Outcome'].concat(cl.map((c) => c.name)).join('\t')];
+    for(let i = 0; i < fnames.length; i++) {
+      const fn = fnames[i];
+      lines.push([fn + ' activations'].concat(
+          cl.map((c) => c.run.activations[fn])).join('\t'));
+      lines.push([fn + ' first activation'].concat(
+          cl.map((c) => time(c.run.first_activation[fn]))).join('\t'));
+    }
+    for(let i = 0; i < anames.length; i++) {
+      const an = anames[i];
+      lines.push([`${an} (${stat})`].concat(
+          cl.map((c) => num(c.run.outcomes[an][stat]))).join('\t'));
+    }
+    return lines.join('\n');
   }
   
   rescueOrphans() {
@@ -1337,12 +1753,46 @@ class FRAMifierModel {
   }
 */
 
+  fmvData(node, obj, known, prefix='') {
+    // Add the attributes and elements of FMV XML `node` that are not on
+    // the list `known` to the FMV data of `obj`, with keys that start
+    // with `prefix`.
+    const al = nodeAttributes(node);
+    for(let k in al) if(al.hasOwnProperty(k) && known.indexOf('@' + k) < 0) {
+      obj.fmv_data[prefix + '@' + k] = al[k];
+    }
+    for(let i = 0; i < node.childNodes.length; i++) {
+      const c = node.childNodes[i];
+      if(c.nodeType === 1 && known.indexOf(c.nodeName) < 0) {
+        // NOTE: Repeated elements are numbered as Name#2, Name#3, etc.
+        let k = prefix + c.nodeName,
+            n = 1;
+        while(obj.fmv_data.hasOwnProperty(k)) {
+          n++;
+          k = `${prefix}${c.nodeName}#${n}`;
+        }
+        obj.fmv_data[k] = nodeAsXML(c);
+      }
+    }
+  }
+
   initFromFMV(node) {
     // Initialize model from FRAM Model Visualizer XML with `node` as root.
+    // NOTE: FMV data that FRAMifier does not use is kept as FMV data of
+    // the activities and aspects, and what could not be imported as such
+    // is reported in the model comments.
     this.reset();
+    const
+        report = [],
+        tags = ['Control', 'Input', 'Output', 'Precondition', 'Resource',
+            'Time'];
     // Ensure that top activity has code "0", as all N FMV functions have
     // ID number 0, ..., N-1 to which 1 will be added.
     this.top_activity.code = '0';
+    // The attributes of the root node and its other elements are kept as
+    // FMV data of the top activity.
+    this.fmvData(node, this.top_activity,
+        ['Functions', 'Groups'].concat(tags.map((t) => t + 's')));
     // Create all activities.
     let max_acode = 1,
         n = childNodeByTag(node, 'Functions');
@@ -1351,18 +1801,34 @@ class FRAMifierModel {
         const c = n.childNodes[i];
         if(c.nodeName === 'Function') {
           const
-              name = nodeContentByTag(c, 'IDName'),
-              a = this.addActivity(name, UI.NO_ACTOR);
+              id = nodeContentByTag(c, 'IDNr'),
+              // NOTE: Add 1 to function ID because top activity has code 0.
+              acode = safeStrToInt(id) + 1;
+          let name = UI.cleanName(nodeContentByTag(c, 'IDName'));
+          if(this.activityByCode(acode.toString())) {
+            report.push(`Function "${name}" has duplicate ID ${id}`);
+            continue;
+          }
+          if(!UI.validName(name)) {
+            report.push(`Function ${id} has invalid name "${name}"`);
+            name = 'Function ' + id;
+          }
+          // NOTE: FMV files appear not to enforce name uniqueness, so
+          // functions having the same name are numbered.
+          const fn = name;
+          for(let k = 2; this.objectByName(name); k++) name = `${fn} ${k}`;
+          if(name !== fn) report.push(`Function "${fn}" renamed to "${name}"`);
+          const a = this.addActivity(name, UI.NO_ACTOR);
           if(a) {
             a.parent = this.top_activity;
-            // NOTE: Add 1 to function ID because top activity has code 0.
-            const acode = safeStrToInt(nodeContentByTag(c, 'IDNr')) + 1;
             max_acode = Math.max(max_acode, acode);
             a.code = acode.toString();
             const desc = nodeContentByTag(c, 'Description');
             if(desc !== 'null') a.comments = desc;
             a.x = safeStrToFloat(nodeParameterValue(c, 'x'));
             a.y = safeStrToFloat(nodeParameterValue(c, 'y'));
+            // Function type, style, variability, etc. are kept as FMV data.
+            this.fmvData(c, a, ['@x', '@y', 'IDNr', 'IDName', 'Description']);
           }
         }
       }
@@ -1375,8 +1841,8 @@ class FRAMifierModel {
         const c = n.childNodes[i];
         if(c.nodeName === 'Group') {
           const
-              code = addOne(nodeContentByTag(c, 'FunctionIDNr')),
-              pa = this.activityByCode(code),
+              id = nodeContentByTag(c, 'FunctionIDNr'),
+              pa = this.activityByCode(addOne(id)),
               subs = nodeContentByTag(c, 'CHILD').split('|');
           if(pa) {
             // Create a "container" activity having the name of the
@@ -1385,27 +1851,30 @@ class FRAMifierModel {
             ca.x = pa.x;
             ca.y = pa.y;
             pa.setParent(ca);
-            for(let j = 0; j < subs.length; j++) {
+            this.fmvData(c, ca, ['FunctionIDNr', 'CHILD'], 'Group/');
+            for(let j = 0; j < subs.length; j++) if(subs[j].trim()) {
               const sa = this.activityByCode(addOne(subs[j]));
-              if(sa) sa.setParent(ca);
+              if(sa) {
+                sa.setParent(ca);
+              } else {
+                report.push(`Group of "${pa.name}" has unknown function ` +
+                    subs[j]);
+              }
             }
+          } else {
+            report.push(`Group has unknown parent function ${id}`);
           }
         }
       }
     }
-    // Get all aspects from the aspect nodes.
+    // Get all aspects from the aspect nodes, and record for each aspect
+    // the list of functions per CORPIT connector.
     const
-        corpits = {
-          Control: {},
-          Input: {},
-          Output: {},
-          Precondition: {},
-          Resource: {},
-          Time: {}
-        },
-        tags = Object.keys(corpits);
+        corpits = {},
+        renamed = {};
     for(let j = 0; j < tags.length; j++) {
       const tag = tags[j];
+      corpits[tag] = {};
       n = childNodeByTag(node, tag + 's');
       if(n && n.childNodes) {
         for(let i = 0; i < n.childNodes.length; i++) {
@@ -1413,47 +1882,500 @@ class FRAMifierModel {
           if(c.nodeName === tag) {
             const
                 name = nodeContentByTag(c, 'IDName'),
+                fid = nodeContentByTag(c, 'FunctionIDNr'),
+                act = this.activityByCode(addOne(fid));
+            if(!act) {
+              report.push(`${tag} "${name}" has unknown function ${fid}`);
+              continue;
+            }
+            const
                 obj = this.objectByName(name),
-                // NOTE: FMV files appear not to enforce name uniqueness,
-                // so aspects and function can have the same name. When
+                // NOTE: Aspects and functions can have the same name. When
                 // this is detected, aspect names are suffixed by a 6-pointed
                 // star symbol.
                 mark = (obj && !(obj instanceof Aspect) ? '\u2736' : ''),
                 desc = nodeContentByTag(c, 'Description'),
-                act = this.activityByCode(
-                    addOne(nodeContentByTag(c, 'FunctionIDNr'))),
                 asp = this.addAspect(name + mark);
             if(asp) {
+              if(mark && !renamed[name]) {
+                report.push(`Aspect "${name}" renamed to "${asp.name}"`);
+                renamed[name] = true;
+              }
               asp.setCode();
               asp.resize();
-              if(desc && desc !== 'null') asp.comments = desc;
-              corpits[tag][asp.identifier] = act;
-            }            
+              // FMV describes aspects per function, so descriptions may
+              // differ => keep all distinct descriptions.
+              if(desc && desc !== 'null' && `\n\n${asp.comments}\n\n`
+                  .indexOf(`\n\n${desc}\n\n`) < 0) {
+                asp.comments += (asp.comments ? '\n\n' : '') + desc;
+              }
+              this.fmvData(c, asp, ['IDNr', 'FunctionIDNr', 'IDName',
+                  'Description'], `${tag}/${act.code}/`);
+              const fl = corpits[tag][asp.identifier] || [];
+              addDistinct(act, fl);
+              corpits[tag][asp.identifier] = fl;
+            }
           }
         }
       }
     }
     // Infer links from the CORPIT index by looking for function pairs
     // (F1, F2) where F1 has aspect A as output and F2 has it as some
-    // incoming aspect. Do this by iterating only over the outputs (so
-    // orphan incoming aspects will be ignored).
-    for(let k in corpits.Output) if(corpits.Output.hasOwnProperty(k)) {
-      const fa = corpits.Output[k];
+    // incoming aspect.
+    for(let k in this.aspects) if(this.aspects.hasOwnProperty(k)) {
+      const
+          a = this.aspects[k],
+          ol = corpits.Output[k] || [];
+      let coupled = false;
       for(let i = 0; i < tags.length; i++) if(tags[i] !== 'Output') {
-        const ta = corpits[tags[i]][k];
-        if(ta) {
-          const
-              c = tags[i].charAt(0),
-              l = this.addLink(fa, ta, c),
-              a = this.aspects[k];
-          // Add aspect (if indeed defined) to link (if indeed created).
-          if(l && a) addDistinct(a, l.aspects);
+        const
+            c = tags[i].charAt(0),
+            il = corpits[tags[i]][k] || [];
+        if(il.length && !ol.length) {
+          report.push(
+              `${tags[i]} "${a.name}" is not an output of any function`);
+        }
+        for(let j = 0; j < ol.length; j++) {
+          for(let m = 0; m < il.length; m++) {
+            const l = this.addLink(ol[j], il[m], c);
+            if(l) {
+              addDistinct(a, l.aspects);
+              if(!a.parent) a.parent = ol[j];
+            }
+            coupled = true;
+          }
         }
       }
+      if(ol.length && !coupled) {
+        report.push(`Output "${a.name}" is not an input of any function`);
+      }
+    }
+    if(report.length) {
+      this.comments = 'Not (fully) imported from FRAM Model Visualizer:\n\n' +
+          report.map((r) => '- ' + r).join('\n');
+      UI.warn(pluralS(report.length, 'FMV item') +
+          ' could not be (fully) imported -- see model documentation');
     }
     this.focal_activity = this.top_activity;
   }
   
+  fmvAnchor(a) {
+    // Return the sub-activity of `a` that represents it in FRAM Model
+    // Visualizer, i.e., for "container" activities that were created when
+    // importing an FMV group the parent function of this group, and
+    // otherwise `a` itself.
+    if(a.name.endsWith('\u2B23')) {
+      const n = a.name.slice(0, -1);
+      for(let i = 0; i < a.sub_activities.length; i++) {
+        if(a.sub_activities[i].name === n) return a.sub_activities[i];
+      }
+    }
+    return a;
+  }
+
+  asFMV(issues=[]) {
+    // Return the model as FRAM Model Visualizer XML. Descriptions of
+    // the kinds of information that FMV cannot represent are added to
+    // the list `issues`.
+    // NOTE: FMV functions have ID numbers 0, ..., N-1, and FMV relates
+    // functions by the names of their aspects.
+    const
+        fl = [],
+        ids = {},
+        names = {},
+        tags = {C: 'Control', I: 'Input', O: 'Output', P: 'Precondition',
+            R: 'Resource', T: 'Time'},
+        entries = {C: [], I: [], O: [], P: [], R: [], T: []},
+        added = {},
+        linked = {},
+        count = {expressions: 0, actors: 0, comments: 0, unlinked: 0,
+            bare: 0, notes: this.top_activity.notes.length};
+    for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
+      const a = this.activities[k];
+      if(a !== this.top_activity) {
+        count.notes += a.notes.length;
+        for(let c in a.incoming_expressions) {
+          if(a.incoming_expressions[c].savedText.trim()) count.expressions++;
+        }
+        if(this.fmvAnchor(a) === a) {
+          ids[a.identifier] = fl.length;
+          fl.push(a);
+          names[a.name] = (names[a.name] || 0) + 1;
+          if(a.hasActor) count.actors++;
+        }
+      }
+    }
+    // NOTE: FMV data that was imported is written back.
+    const
+        fmv = this.top_activity.fmvDataAsFMV(),
+        xml = ['<?xml version="1.0"?><FM', fmv[0], '><Functions>'];
+    for(let i = 0; i < fl.length; i++) {
+      const
+          a = fl[i],
+          // NOTE: FMV function names must be unique, while in FRAMifier
+          // only the combination of function and agent name is unique.
+          n = (names[a.name] > 1 ? a.displayName : a.name),
+          fd = a.fmvDataAsFMV('', ['@fnStyle', 'FunctionType']);
+      xml.push('<Function fnStyle="', a.fmv_data['@fnStyle'] || '0',
+          '" x="', Math.round(a.x), '" y="', Math.round(a.y), '"', fd[0],
+          '><IDNr>', i, '</IDNr>',
+          a.fmv_data.FunctionType || '<FunctionType>0</FunctionType>',
+          '<IDName>', xmlEncoded(n), '</IDName><Description>',
+          xmlEncoded(a.comments || 'null'), '</Description>', fd[1],
+          '</Function>');
+    }
+    xml.push('</Functions>');
+    // FMV groups have a parent function, and list their other functions
+    // as "children".
+    const gl = [];
+    for(let i = 0; i < fl.length; i++) {
+      const a = fl[i];
+      // NOTE: Activities that are not an FMV anchor represent their
+      // container activity.
+      const ca = (a.sub_activities.length ? a :
+          (a.parent && this.fmvAnchor(a.parent) === a ? a.parent : null));
+      if(ca) {
+        const cl = [];
+        for(let j = 0; j < ca.sub_activities.length; j++) {
+          const sa = this.fmvAnchor(ca.sub_activities[j]);
+          if(sa !== a) cl.push(ids[sa.identifier]);
+        }
+        if(cl.length) {
+          const gd = ca.fmvDataAsFMV('Group/');
+          gl.push('<Group', gd[0], '><FunctionIDNr>', i,
+              '</FunctionIDNr><CHILD>', cl.join('|'), '</CHILD>', gd[1],
+              '</Group>');
+        }
+      }
+    }
+    // Each link adds its aspects to the outputs of its FROM function and
+    // to the incoming aspects of its TO function.
+    const addEntry = (c, asp, a) => {
+        const key = [c, asp.code, a.code].join('|');
+        if(!added[key] && ids.hasOwnProperty(a.identifier)) {
+          const ad = asp.fmvDataAsFMV(`${tags[c]}/${a.code}/`);
+          added[key] = true;
+          entries[c].push(['<', tags[c], ad[0], '><IDNr>', entries[c].length,
+              '</IDNr><FunctionIDNr>', ids[a.identifier],
+              '</FunctionIDNr><IDName>',
+              // Remove the star that marks aspects that were renamed
+              // when importing FMV.
+              xmlEncoded(asp.name.replace(/\u2736$/, '')),
+              '</IDName><Description>', xmlEncoded(asp.comments || 'null'),
+              '</Description>', ad[1], '</', tags[c], '>'].join(''));
+        }
+      };
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const l = this.links[k];
+      if(l.comments) count.comments++;
+      if(!l.aspects.length) count.bare++;
+      for(let i = 0; i < l.aspects.length; i++) {
+        linked[l.aspects[i].code] = true;
+        addEntry('O', l.aspects[i], l.from_activity);
+        addEntry(l.to_connector, l.aspects[i], l.to_activity);
+      }
+    }
+    for(let k in this.aspects) if(this.aspects.hasOwnProperty(k)) {
+      const a = this.aspects[k];
+      if(a.expression.savedText.trim()) count.expressions++;
+      if(!linked[a.code]) count.unlinked++;
+    }
+    for(let c in tags) if(tags.hasOwnProperty(c)) {
+      xml.push('<', tags[c], 's>', entries[c].join(''), '</', tags[c], 's>');
+    }
+    xml.push('<Groups>', gl.join(''), '</Groups>', fmv[1], '</FM>');
+    // Report what has not been exported.
+    if(count.expressions) {
+      issues.push(pluralS(count.expressions, 'expression'));
+    }
+    if(count.actors) {
+      issues.push(pluralS(count.actors, 'function') + ' having an agent');
+    }
+    if(count.notes) issues.push(pluralS(count.notes, 'note'));
+    if(count.comments) {
+      issues.push('comments on ' + pluralS(count.comments, 'coupling'));
+    }
+    if(count.bare) {
+      issues.push(pluralS(count.bare, 'coupling') + ' without aspects');
+    }
+    if(count.unlinked) {
+      issues.push(pluralS(count.unlinked, 'aspect') + ' without couplings');
+    }
+    const np = Object.keys(this.parameters).length;
+    if(np) issues.push(pluralS(np, 'parameter'));
+    const nm = Object.keys(this.macros).length;
+    if(nm) issues.push(pluralS(nm, 'macro'));
+    if(this.experiment.activeDimensions.length) issues.push('the experiment');
+    if(this.scenarios.length) {
+      issues.push(pluralS(this.scenarios.length, 'scenario'));
+    }
+    if(this.author || this.comments) issues.push('model properties');
+    return xml.join('');
+  }
+  
+  networkGraph(focal=false) {
+    // Return the FRAM network as {nodes, edges}, where nodes are the leaf
+    // activities and edges the links between them. When `focal` is TRUE,
+    // the nodes are the activities in the focal activity, and the edges
+    // are the links that the diagram of this activity shows, including
+    // its "deep" links.
+    const
+        fa = this.focal_activity,
+        al = (focal ? fa.sub_activities : this.top_activity.leafActivities),
+        ll = [],
+        graph = {nodes: [], edges: []};
+    for(let i = 0; i < al.length; i++) {
+      const a = al[i];
+      graph.nodes.push({id: 'n' + a.code, code: a.code, name: a.name,
+          actor: (a.hasActor ? a.actor.name : ''), entry: !!a.isEntry,
+          exit: !!a.isExit, composite: !a.isLeaf, x: a.x, y: a.y});
+    }
+    if(focal) {
+      ll.push(...fa.visibleLinks);
+      const dvl = fa.deepVisibleLinks;
+      for(let k in dvl) if(dvl.hasOwnProperty(k)) ll.push(dvl[k]);
+    } else {
+      for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+        ll.push(this.links[k]);
+      }
+    }
+    for(let i = 0; i < ll.length; i++) {
+      const
+          l = ll[i],
+          an = l.aspects.map((a) => a.name).sort(ciCompare);
+      graph.edges.push({source: 'n' + l.from_activity.code,
+          target: 'n' + l.to_activity.code, connector: l.to_connector,
+          aspects: an, label: l.to_connector +
+              (an.length ? ': ' + an.join(', ') : ''),
+          feedback: !!(l.is_feedback || l.deep_links.some(
+              (dl) => dl.is_feedback)),
+          deep: l.deep_links.length});
+    }
+    return graph;
+  }
+  
+  networkAsDOT(focal=false) {
+    // Return the FRAM network as a Graphviz DOT graph.
+    const
+        // NOTE: Escape backslashes first, as the other escapes add them.
+        q = (s) => '"' + ('' + s).replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"',
+        g = this.networkGraph(focal),
+        dot = ['digraph ' + q(this.name || 'FRAM model') + ' {',
+            '  rankdir=LR;', '  node [shape=hexagon];'];
+    for(let i = 0; i < g.nodes.length; i++) {
+      const n = g.nodes[i];
+      dot.push(`  ${q(n.id)} [label=${q(n.name)}, code=${q(n.code)}, ` +
+          `actor=${q(n.actor)}, entry=${n.entry}, exit=${n.exit}, ` +
+          `composite=${n.composite}];`);
+    }
+    for(let i = 0; i < g.edges.length; i++) {
+      const e = g.edges[i];
+      dot.push(`  ${q(e.source)} -> ${q(e.target)} [label=${q(e.label)}, ` +
+          `connector=${q(e.connector)}, aspects=${q(e.aspects.join(', '))}, ` +
+          `feedback=${e.feedback}, deep=${e.deep}` +
+          (e.feedback ? ', style=dashed' : '') + '];');
+    }
+    dot.push('}', '');
+    return dot.join('\n');
+  }
+  
+  networkAsGraphML(focal=false) {
+    // Return the FRAM network as a GraphML document.
+    const
+        g = this.networkGraph(focal),
+        keys = [['node', 'name', 'string'], ['node', 'code', 'string'],
+            ['node', 'actor', 'string'], ['node', 'entry', 'boolean'],
+            ['node', 'exit', 'boolean'], ['node', 'composite', 'boolean'],
+            ['node', 'x', 'double'], ['node', 'y', 'double'],
+            ['edge', 'connector', 'string'], ['edge', 'aspects', 'string'],
+            ['edge', 'label', 'string'], ['edge', 'feedback', 'boolean'],
+            ['edge', 'deep', 'int']],
+        data = (obj, k) => {
+            let v = obj[k];
+            if(Array.isArray(v)) v = v.join(', ');
+            return `<data key="${k}">${xmlEncoded('' + v)}</data>`;
+          },
+        xml = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'];
+    for(let i = 0; i < keys.length; i++) {
+      const k = keys[i];
+      xml.push(`  <key id="${k[1]}" for="${k[0]}" attr.name="${k[1]}" ` +
+          `attr.type="${k[2]}"/>`);
+    }
+    xml.push('  <graph id="G" edgedefault="directed">');
+    for(let i = 0; i < g.nodes.length; i++) {
+      const n = g.nodes[i];
+      xml.push(`    <node id="${n.id}">` + keys.filter((k) => k[0] === 'node')
+          .map((k) => data(n, k[1])).join('') + '</node>');
+    }
+    for(let i = 0; i < g.edges.length; i++) {
+      const e = g.edges[i];
+      xml.push(`    <edge id="e${i}" source="${e.source}" ` +
+          `target="${e.target}">` + keys.filter((k) => k[0] === 'edge')
+          .map((k) => data(e, k[1])).join('') + '</edge>');
+    }
+    xml.push('  </graph>', '</graphml>', '');
+    return xml.join('\n');
+  }
+  
+  get functionTables() {
+    // Return for each leaf activity its FRAM function table, i.e., its
+    // Input, Output, Precondition, Resource, Control and Time aspects with
+    // their descriptions and expressions, and the functions they couple
+    // with. Incoming expressions are listed as rows without aspect.
+    // NOTE: The expressions are those of the base model, also when a
+    // scenario is active.
+    const
+        byCode = (a, b) => safeStrToInt(a.code) - safeStrToInt(b.code),
+        al = this.top_activity.leafActivities.sort(byCode),
+        tables = [];
+    for(let i = 0; i < al.length; i++) {
+      const
+          a = al[i],
+          rows = [];
+      for(let c of 'IOPRCT') {
+        const
+            type = UI.aspect_type[c],
+            cc = a.connections[c],
+            // Per aspect the names of the coupled functions.
+            coupled = {},
+            noasp = [],
+            asps = [];
+        for(let j = 0; j < cc.length; j++) {
+          const
+              l = cc[j],
+              f = (c === 'O' ? l.to_activity : l.from_activity).displayName;
+          if(!l.aspects.length) addDistinct(f, noasp);
+          for(let k = 0; k < l.aspects.length; k++) {
+            const asp = l.aspects[k];
+            if(!coupled.hasOwnProperty(asp.code)) {
+              coupled[asp.code] = [];
+              asps.push(asp);
+            }
+            addDistinct(f, coupled[asp.code]);
+          }
+        }
+        asps.sort((x, y) => ciCompare(x.displayName, y.displayName));
+        const x = (c === 'O' ? null : a.incoming_expressions[c]);
+        if(x && x.savedText.trim()) {
+          rows.push({connector: c, type: type, aspect: '',
+              description: `Expression for the ${type} of this function`,
+              expression: x.savedText.trim(), coupled: []});
+        }
+        for(let j = 0; j < asps.length; j++) {
+          const asp = asps[j];
+          rows.push({connector: c, type: type, aspect: asp.displayName,
+              description: asp.comments.trim(),
+              expression: asp.expression.savedText.trim(),
+              coupled: coupled[asp.code].sort(ciCompare)});
+        }
+        if(noasp.length) {
+          rows.push({connector: c, type: type, aspect: '',
+              description: 'Coupling without aspect', expression: '',
+              coupled: noasp.sort(ciCompare)});
+        }
+        // Aspect types that this function does not have are listed as well.
+        if(!rows.length || rows[rows.length - 1].connector !== c) {
+          rows.push({connector: c, type: type, aspect: '', description: '',
+              expression: '', coupled: []});
+        }
+      }
+      tables.push({code: a.code, name: a.name,
+          actor: (a.hasActor ? a.actor.name : ''),
+          description: a.comments.trim(), rows: rows});
+    }
+    return tables;
+  }
+  
+  get functionTablesAsCSV() {
+    // Return the FRAM function tables as comma-separated values, with one
+    // row per aspect of a function.
+    const
+        dc = CONFIGURATION.decimal_comma,
+        sep = (dc ? ';' : ','),
+        field = (s) => {
+            s = '' + s;
+            if(s.indexOf(sep) >= 0 || /["\n]/.test(s)) {
+              return '"' + s.replace(/"/g, '""') + '"';
+            }
+            return s;
+          },
+        ft = this.functionTables,
+        lines = [['Code', 'Function', 'Agent', 'Aspect type', 'Aspect',
+            'Description', 'Expression', 'Coupled with'].join(sep)];
+    for(let i = 0; i < ft.length; i++) {
+      const t = ft[i];
+      for(let j = 0; j < t.rows.length; j++) {
+        const r = t.rows[j];
+        lines.push([t.code, field(t.name), field(t.actor), r.type,
+            field(r.aspect), field(r.description), field(r.expression),
+            field(r.coupled.join('; '))].join(sep));
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+  
+  get functionTablesAsMarkdown() {
+    // Return the FRAM function tables as Markdown, with one table per
+    // function.
+    const
+        // NOTE: Markdown table cells must be single lines without pipes.
+        cell = (s) => ('' + s).replace(/\|/g, '\\|')
+            .replace(/\r?\n/g, '<br>'),
+        ft = this.functionTables,
+        md = [`# Function tables of ${this.name || 'FRAM model'}`, ''];
+    for(let i = 0; i < ft.length; i++) {
+      const t = ft[i];
+      md.push(`## ${t.code}. ${t.name}`, '');
+      if(t.actor) md.push(`Agent: ${t.actor}`, '');
+      if(t.description) md.push(t.description, '');
+      md.push('| Aspect type | Aspect | Description | Expression | ' +
+          'Coupled with |', '|---|---|---|---|---|');
+      for(let j = 0; j < t.rows.length; j++) {
+        const r = t.rows[j];
+        md.push(['', r.type, cell(r.aspect), cell(r.description),
+            (r.expression ? '`' + cell(r.expression) + '`' : ''),
+            cell(r.coupled.join(', ')), ''].join(' | ').trim());
+      }
+      md.push('');
+    }
+    return md.join('\n');
+  }
+  
+  get functionTablesAsHTML() {
+    // Return the FRAM function tables as HTML, with one table per function.
+    // NOTE: Aspect types span the rows of their aspects.
+    const
+        enc = (s) => xmlEncoded('' + s).replace(/\n/g, '<br>'),
+        ft = this.functionTables,
+        html = [];
+    for(let i = 0; i < ft.length; i++) {
+      const t = ft[i];
+      html.push(`<h3>${t.code}. ${enc(t.name)}</h3>`);
+      if(t.actor) html.push(`<p>Agent: ${enc(t.actor)}</p>`);
+      if(t.description) html.push(`<p>${enc(t.description)}</p>`);
+      html.push('<table class="function-table"><tr><th>Aspect type</th>' +
+          '<th>Aspect</th><th>Description</th><th>Expression</th>' +
+          '<th>Coupled with</th></tr>');
+      for(let j = 0; j < t.rows.length; j++) {
+        const
+            r = t.rows[j],
+            tr = ['<tr>'];
+        if(!j || t.rows[j - 1].connector !== r.connector) {
+          const n = t.rows.filter((x) => x.connector === r.connector).length;
+          tr.push(`<td rowspan="${n}">${r.type}</td>`);
+        }
+        tr.push(`<td>${enc(r.aspect)}</td><td>${enc(r.description)}</td>`,
+            `<td><tt>${enc(r.expression)}</tt></td>`,
+            `<td>${enc(r.coupled.join(', '))}</td></tr>`);
+        html.push(tr.join(''));
+      }
+      html.push('</table>');
+    }
+    return html.join('\n');
+  }
+  
   get listOfAllComments() {
     const sl = [];
     sl.push('_____MODEL: ' + this.name);
@@ -1506,6 +2428,10 @@ class FRAMifierModel {
   get allExpressions() {
     // Return list of all Expression objects in this model.
     const xl = [];
+    // Each parameter is an expression.
+    for(let k in this.parameters) if(this.parameters.hasOwnProperty(k)) {
+      xl.push(this.parameters[k].expression);
+    }
     // Each aspect has an expression.
     for(let k in this.aspects) if(this.aspects.hasOwnProperty(k)) {
       xl.push(this.aspects[k].expression);
@@ -1520,10 +2446,23 @@ class FRAMifierModel {
     return xl;
   }
 
+  get expressionTexts() {
+    // Return the texts of all expressions as an object with the variable
+    // name as key.
+    const
+        ax = this.allExpressions,
+        xt = {};
+    for(let i = 0; i < ax.length; i++) xt[ax[i].variableName] = ax[i].text;
+    return xt;
+  }
+
   resetExpressions() {
     // Create a new vector for all expressions in the model, setting their
     // initial value (t=0) to "undefined" and for all other cycles ("ticks")
     // to "not computed".
+    // NOTE: First keep the results of the last run (if any) so that they
+    // can be compared with those of the next run.
+    if(this.solved && VM.keep_results) this.previous_run = new RunResults();
     const ax = this.allExpressions;
     for(let i = 0; i < ax.length; i++) {
       ax[i].reset(VM.UNDEFINED);
@@ -1547,42 +2486,244 @@ class FRAMifierModel {
       ax[i].compile();
     }
   }
-    
-} // END of class FRAMifierModel
-
-
-// CLASS Actor
-class Actor {
-  constructor(name) {
-    this.name = name;
-    this.comments = '';
-    this.color = '#ffffff';
-  }
-
-  get type() {
-    return 'Agent';
-  }
-  
-  get FRAMType() {
-    return 'Agent';
-  }
-
-  get typeLetter() {
-    return 'A';
-  }
-
-  get identifier() {
-    return UI.nameToID(this.name);
-  }
   
-  get displayName() {
-    return this.name;
-  }
+  /* METHODS RELATED TO MODEL VALIDATION */
   
-  get leafCount() {
-    // Return the number of leaf activities "owned" by this actor.
-    const la = MODEL.top_activity.leafActivities;
-    let n = 0;
+  get validationIssues() {
+    // Return a list of {object, message} items, one for each violation
+    // of a FRAM modeling rule that can be detected without running the
+    // model.
+    const
+        issues = [],
+        issue = (obj, msg) => issues.push({object: obj, message: msg}),
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        acts = this.top_activity.leafActivities.sort(byName),
+        asps = Object.values(this.aspects).sort(byName),
+        links = Object.values(this.links),
+        ax = this.allExpressions,
+        // Aspects referenced by expressions, with a list of the names of
+        // the expressions that reference them.
+        refs = {},
+        // Aspects of couplings to connectors without expression.
+        defaults = {};
+    for(let i = 0; i < ax.length; i++) {
+      const ra = ax[i].referencedAspects;
+      for(let j = 0; j < ra.length; j++) {
+        const id = ra[j].identifier;
+        if(ra[j].expression === ax[i]) continue;
+        if(!refs[id]) refs[id] = [];
+        refs[id].push(ax[i].variableName);
+      }
+    }
+    for(let i = 0; i < links.length; i++) {
+      const l = links[i];
+      if(!l.to_activity.incoming_expressions[l.to_connector].defined) {
+        for(let j = 0; j < l.aspects.length; j++) {
+          defaults[l.aspects[j].identifier] = true;
+        }
+      }
+    }
+    // (1) Functions without output.
+    for(let i = 0; i < acts.length; i++) {
+      if(!acts[i].connections.O.length) {
+        issue(acts[i], `Function "${acts[i].displayName}" has no output`);
+      }
+    }
+    // (2) Output couplings without aspects.
+    for(let i = 0; i < links.length; i++) {
+      if(!links[i].aspects.length) {
+        issue(links[i], `Coupling ${links[i].displayName} has no aspect`);
+      }
+    }
+    // (3) Aspects that do not affect any function: an aspect is used by
+    // default rules when the connector of the receiving function has no
+    // expression; otherwise the expression must refer to it.
+    for(let i = 0; i < asps.length; i++) {
+      const
+          a = asps[i],
+          used = refs.hasOwnProperty(a.identifier) ||
+              defaults.hasOwnProperty(a.identifier);
+      if(!used) issue(a, `Aspect "${a.displayName}" is never consumed`);
+    }
+    // (4) Functions that cannot be reached from any entry function.
+    const ur = this.triggerSequence.unreachable || [];
+    for(let i = 0; i < ur.length; i++) {
+      issue(ur[i], `Function "${ur[i].displayName}" is unreachable`);
+    }
+    // (5) Feedback loops that can be completed without passing through
+    // a Time or Precondition connector. Such a loop comprises functions
+    // that can all be reached from each other via couplings to C, R or I,
+    // and is reported only once.
+    const
+        reach = (a) => {
+            // Return the list of activities that can be reached from `a`
+            // via couplings that do not connect to T or P.
+            const
+                rl = [],
+                queue = [a];
+            while(queue.length) {
+              const ol = queue.shift().connections.O;
+              for(let i = 0; i < ol.length; i++) {
+                const ta = ol[i].to_activity;
+                if('TP'.indexOf(ol[i].to_connector) < 0 &&
+                    rl.indexOf(ta) < 0) {
+                  rl.push(ta);
+                  queue.push(ta);
+                }
+              }
+            }
+            return rl;
+          },
+        reached = {},
+        looped = [];
+    for(let i = 0; i < acts.length; i++) {
+      reached[acts[i].identifier] = reach(acts[i]);
+    }
+    for(let i = 0; i < acts.length; i++) {
+      const a = acts[i];
+      if(looped.indexOf(a) >= 0 || reached[a.identifier].indexOf(a) < 0) {
+        continue;
+      }
+      const
+          ra = reached[a.identifier],
+          loop = [];
+      for(let j = 0; j < ra.length; j++) {
+        if(reached[ra[j].identifier].indexOf(a) >= 0) loop.push(ra[j]);
+      }
+      mergeDistinct(loop, looped);
+      // Attribute the issue to a feedback coupling in this loop.
+      let fbl = null;
+      for(let j = 0; !fbl && j < links.length; j++) {
+        const l = links[j];
+        if(l.is_feedback && 'TP'.indexOf(l.to_connector) < 0 &&
+            loop.indexOf(l.from_activity) >= 0 &&
+            loop.indexOf(l.to_activity) >= 0) fbl = l;
+      }
+      issue(fbl || a, 'Feedback loop through ' +
+          loop.sort(byName).map((f) => `"${f.displayName}"`).join(', ') +
+          ' has no Time or Precondition gate');
+    }
+    // (6) Aspects without expression that are referenced by expressions.
+    for(let i = 0; i < asps.length; i++) {
+      const a = asps[i];
+      if(!a.expression.defined && refs.hasOwnProperty(a.identifier)) {
+        issue(a, `Aspect "${a.displayName}" has no expression but is ` +
+            `referenced by ${refs[a.identifier].join(', ')}`);
+      }
+    }
+    // (7) Qualified references to aspects that are not coupled to the
+    // function of the expression. Such dependencies are not visible in
+    // the diagram.
+    for(let i = 0; i < ax.length; i++) {
+      const hr = ax[i].hidden_references;
+      for(let j = 0; j < hr.length; j++) {
+        const
+            a = hr[j],
+            f = (a.parent ? ` of "${a.parent.displayName}"` : '');
+        issue(ax[i].object, `Expression for ${ax[i].variableName} refers ` +
+            `to aspect "${a.displayName}"${f} that is not coupled to it`);
+      }
+    }
+    // (8) Note numbers that occur more than once within a function.
+    const fl = [this.top_activity].concat(this.top_activity.allActivities);
+    for(let i = 0; i < fl.length; i++) {
+      const nrs = {};
+      for(let j = 0; j < fl[i].notes.length; j++) {
+        const
+            n = fl[i].notes[j],
+            nr = n.number;
+        if(nr) {
+          if(nrs[nr]) {
+            issue(n, `Note number #${nr} is used more than once` +
+                (fl[i] === this.top_activity ? '' :
+                    ` in "${fl[i].displayName}"`));
+          } else {
+            nrs[nr] = true;
+          }
+        }
+      }
+    }
+    return issues;
+  }
+  
+  /* METHODS RELATED TO RUN RESULTS */
+  
+  get resultsAsCSV() {
+    // Return the results of the last run as comma-separated values, with
+    // one row per cycle, and columns for the clock time, the Output state
+    // of each (leaf) function, and the value of each aspect.
+    // NOTE: With decimal comma, values are separated by semicolons, as is
+    // common for spreadsheets in such locales.
+    const
+        dc = CONFIGURATION.decimal_comma,
+        sep = (dc ? ';' : ','),
+        field = (s) => {
+            s = '' + s;
+            if(s.indexOf(sep) >= 0 || /["\n]/.test(s)) {
+              return '"' + s.replace(/"/g, '""') + '"';
+            }
+            return s;
+          },
+        num = (v) => {
+            // Values not (yet) computed are left empty.
+            if(v >= VM.PENDING) return '';
+            const sv = VM.specialValue(v);
+            if(sv[0]) return field(sv[1]);
+            return (dc ? ('' + v).replace('.', ',') : '' + v);
+          },
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        acts = this.top_activity.leafActivities.sort(byName),
+        asps = Object.values(this.aspects).sort(byName),
+        hdr = ['Cycle', 'Clock time (hours)'];
+    for(let i = 0; i < acts.length; i++) {
+      hdr.push(field(acts[i].displayName + ' (O)'));
+    }
+    for(let i = 0; i < asps.length; i++) hdr.push(field(asps[i].displayName));
+    const lines = [hdr.join(sep)];
+    for(let t = 0; t <= this.run_length; t++) {
+      const row = [t, num(this.clock_time[t])];
+      for(let i = 0; i < acts.length; i++) row.push(num(acts[i].state.O[t]));
+      for(let i = 0; i < asps.length; i++) row.push(num(asps[i].value(t)));
+      lines.push(row.join(sep));
+    }
+    return lines.join('\n') + '\n';
+  }
+    
+} // END of class FRAMifierModel
+
+
+// CLASS Actor
+class Actor {
+  constructor(name) {
+    this.name = name;
+    this.comments = '';
+    this.color = '#ffffff';
+  }
+
+  get type() {
+    return 'Agent';
+  }
+  
+  get FRAMType() {
+    return 'Agent';
+  }
+
+  get typeLetter() {
+    return 'A';
+  }
+
+  get identifier() {
+    return UI.nameToID(this.name);
+  }
+  
+  get displayName() {
+    return this.name;
+  }
+  
+  get leafCount() {
+    // Return the number of leaf activities "owned" by this actor.
+    const la = MODEL.top_activity.leafActivities;
+    let n = 0;
     for(let i = 0; i < la.length; i++) {
       if(la[i].actor === this) n++;
     }
@@ -1600,6 +2741,15 @@ class Actor {
     this.color = '#' + (nodeParameterValue(node, 'color') || 'ffffff');
     this.comments = nodeContentByTag(node, 'documentation');
   }
+
+  toJSON() {
+    return {name: this.name, color: this.color, comments: this.comments};
+  }
+
+  fromJSON(obj) {
+    if(/^#[0-9a-f]{6}$/i.test(obj.color)) this.color = obj.color;
+    this.comments = obj.comments || '';
+  }
   
   rename(name) {
     // Change the name of this actor
@@ -1628,6 +2778,117 @@ class Actor {
 } // END of class Actor
 
 
+// CLASS Parameter
+// A parameter is a named expression, typically a constant such as a shift
+// duration or a failure probability, that can be used in all expressions
+// of the model by its name in brackets.
+class Parameter {
+  constructor(name) {
+    this.name = name;
+    this.comments = '';
+    this.expression = new Expression(this, '');
+  }
+
+  get type() {
+    return 'Parameter';
+  }
+  
+  get FRAMType() {
+    return 'Parameter';
+  }
+
+  get typeLetter() {
+    return 'P';
+  }
+
+  get identifier() {
+    return UI.nameToID(this.name);
+  }
+  
+  get displayName() {
+    return this.name;
+  }
+  
+  get asXML() {
+    return ['<parameter><name>', xmlEncoded(this.name),
+        '</name><comments>', xmlEncoded(this.comments),
+        '</comments><expression>', this.expression.asXML,
+        '</expression></parameter>'].join('');
+  }
+  
+  initFromXML(node) {
+    this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
+    this.expression.text = xmlDecoded(nodeContentByTag(node, 'expression'));
+  }
+
+  toJSON() {
+    return {name: this.name, comments: this.comments,
+        expression: this.expression.savedText};
+  }
+
+  fromJSON(obj) {
+    this.comments = obj.comments || '';
+    this.expression.text = '' + (obj.expression || '');
+  }
+  
+} // END of class Parameter
+
+
+// CLASS Macro
+// A macro is a named expression with arguments, e.g., `delay(x; d)`, that
+// expressions can call like an operator. Each call is compiled as part of
+// the calling expression, so variables in the macro text refer to aspects
+// in the scope of that expression.
+class Macro {
+  constructor(name) {
+    this.name = name;
+    this.arguments = [];
+    this.text = '';
+    this.comments = '';
+  }
+
+  get type() {
+    return 'Macro';
+  }
+  
+  get identifier() {
+    return UI.nameToID(this.name);
+  }
+  
+  get displayName() {
+    return `${this.name}(${this.arguments.join('; ')})`;
+  }
+  
+  get asXML() {
+    return ['<macro><name>', xmlEncoded(this.name),
+        '</name><arguments>', xmlEncoded(this.arguments.join(';')),
+        '</arguments><comments>', xmlEncoded(this.comments),
+        '</comments><text>', xmlEncoded(this.text),
+        '</text></macro>'].join('');
+  }
+  
+  initFromXML(node) {
+    const al = xmlDecoded(nodeContentByTag(node, 'arguments'));
+    this.arguments = (al ? al.split(';') : []);
+    this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
+    this.text = xmlDecoded(nodeContentByTag(node, 'text'));
+  }
+
+  toJSON() {
+    return {name: this.name, arguments: this.arguments.slice(),
+        comments: this.comments, text: this.text};
+  }
+
+  fromJSON(obj) {
+    this.arguments = (Array.isArray(obj.arguments) ?
+        obj.arguments.map((a) => '' + a) : []);
+    this.comments = obj.comments || '';
+    this.text = '' + (obj.text || '');
+  }
+  
+} // END of class Macro
+
+
 // CLASS ObjectWithXYWH (any drawable object)
 class ObjectWithXYWH {
   constructor(parent) {
@@ -1731,6 +2992,22 @@ class Note extends ObjectWithXYWH {
     this.height = safeStrToInt(nodeContentByTag(node, 'height'));
   }
 
+  toJSON() {
+    return {timestamp: this.timestamp, contents: this.contents,
+        x: this.x, y: this.y, width: this.width, height: this.height};
+  }
+
+  fromJSON(obj) {
+    // NOTE: Like legacy XML, generated JSON may omit the timestamp.
+    this.timestamp = parseInt(obj.timestamp) ||
+        Math.floor((1 + Math.random()) * 1E12);
+    this.contents = obj.contents || '';
+    this.x = parseInt(obj.x) || 0;
+    this.y = parseInt(obj.y) || 0;
+    this.width = parseInt(obj.width) || 0;
+    this.height = parseInt(obj.height) || 0;
+  }
+
   setParent(pa) {
     // Place this note into the specified activity `pa`.
     if(this.parent) {
@@ -1744,9 +3021,44 @@ class Note extends ObjectWithXYWH {
     }
   }
   
+  fieldValue(f) {
+    // Return the value of note field `f` (without its double brackets)
+    // for the current cycle as a string, or NULL if `f` is not a field.
+    // NOTE: Fields can be [[now]], [[cycle]], [[aspect name]], or
+    // [[function name|X]] where X is one of the letters CORPIT.
+    const
+        ud = VM.sig4Dig(VM.UNDEFINED),
+        name = f.replace(/\s+/g, ' ').trim(),
+        parts = name.split('|'),
+        c = (parts.length > 1 ? parts.pop().trim().toUpperCase() : '');
+    if(name.toLowerCase() === 'now') {
+      return (MODEL.solved ? UI.clockTime(MODEL.simulationTime) : ud);
+    }
+    if(name.toLowerCase() === 'cycle') return '' + MODEL.t;
+    if(c && c.length === 1 && 'CORPIT'.indexOf(c) >= 0) {
+      const a = MODEL.objectByName(parts.join('|').trim());
+      if(!(a instanceof Activity)) return null;
+      return (MODEL.solved ? '' + VM.sig4Dig(a.state[c][MODEL.t]) : ud);
+    }
+    const obj = MODEL.objectByName(name);
+    if(obj instanceof Aspect) return '' + VM.sig4Dig(obj.value(MODEL.t));
+    // Functions without connector letter are assumed to mean Output.
+    if(obj instanceof Activity) return this.fieldValue(name + '|O');
+    return null;
+  }
+  
+  get evaluatedContents() {
+    // Return the contents of this note with its fields replaced by their
+    // values. Unknown fields are left as they are.
+    return this.contents.replace(/\[\[([^\]]+)\]\]/g, (m, f) => {
+        const v = this.fieldValue(f);
+        return (v === null ? m : v);
+      });
+  }
+
   resize() {
     // Resizes the note; returns TRUE iff size has changed.
-    let txt = this.contents;
+    let txt = this.evaluatedContents;
     const
         w = this.width,
         h = this.height,
@@ -1817,6 +3129,57 @@ class NodeBox extends ObjectWithXYWH {
     this.frame_width = 0;
     this.frame_height = 0;
     this.selected = false;
+    // Data imported from FRAM Model Visualizer that FRAMifier does not
+    // use is kept as {key: value} to be written back when exporting to
+    // FMV. Keys of attributes start with @, and for elements, the value
+    // is their XML.
+    this.fmv_data = {};
+  }
+  
+  get fmvDataAsXML() {
+    const xml = [];
+    for(let k in this.fmv_data) if(this.fmv_data.hasOwnProperty(k)) {
+      xml.push('<item key="', xmlEncoded(k), '">',
+          xmlEncoded(this.fmv_data[k]), '</item>');
+    }
+    if(!xml.length) return '';
+    return '<fmv-data>' + xml.join('') + '</fmv-data>';
+  }
+  
+  fmvDataFromXML(node) {
+    const n = childNodeByTag(node, 'fmv-data');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'item') {
+          this.fmv_data[xmlDecoded(nodeParameterValue(c, 'key'))] =
+              xmlDecoded(nodeContent(c));
+        }
+      }
+    }
+  }
+  
+  fmvDataAsFMV(prefix='', skip=[]) {
+    // Return the attributes and the elements of the FMV data having keys
+    // that start with `prefix` (except those on the list `skip`) as a
+    // tuple [attributes, elements].
+    const
+        attr = [],
+        elem = [];
+    for(let k in this.fmv_data) {
+      if(this.fmv_data.hasOwnProperty(k) && k.startsWith(prefix)) {
+        const
+            n = k.substring(prefix.length),
+            v = this.fmv_data[k];
+        if(skip.indexOf(n) >= 0 || n.indexOf('/') >= 0) continue;
+        if(n.startsWith('@')) {
+          attr.push(' ', n.substring(1), '="', xmlEncoded(v), '"');
+        } else {
+          elem.push(v);
+        }
+      }
+    }
+    return [attr.join(''), elem.join('')];
   }
   
   get hasActor() {
@@ -2016,8 +3379,8 @@ class Aspect extends NodeBox {
     return ['<aspect code="', this.code, '">',
         '<name>', xmlEncoded(this.name),
         '</name><comments>', xmlEncoded(this.comments),
-        '</comments><expression>', xmlEncoded(this.expression.text),
-        '</expression></aspect>'].join('');
+        '</comments><expression>', this.expression.asXML,
+        '</expression>', this.fmvDataAsXML, '</aspect>'].join('');
   }
   
   initFromXML(node) {
@@ -2025,6 +3388,22 @@ class Aspect extends NodeBox {
     this.resize();
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
     this.expression.text = xmlDecoded(nodeContentByTag(node, 'expression'));
+    this.fmvDataFromXML(node);
+  }
+
+  toJSON() {
+    const obj = {code: this.code, name: this.name, comments: this.comments,
+        expression: this.expression.savedText};
+    if(Object.keys(this.fmv_data).length) obj.fmv_data = this.fmv_data;
+    return obj;
+  }
+
+  fromJSON(obj) {
+    if(obj.code) this.code = '' + obj.code;
+    this.resize();
+    this.comments = obj.comments || '';
+    this.expression.text = obj.expression || '';
+    this.fmv_data = Object.assign({}, obj.fmv_data);
   }
   
   get isTimeAspect() {
@@ -2249,7 +3628,7 @@ class Activity extends NodeBox {
         '</y-coord><incoming-expressions>'];
     for(let c in this.connections) if('CRPIT'.indexOf(c) >= 0) {
       xml.push('<incoming-x connection="', c, '">',
-          xmlEncoded(this.incoming_expressions[c].text),
+          this.incoming_expressions[c].asXML,
           '</incoming-x>');
     }
     xml.push('</incoming-expressions><sub-activities>');
@@ -2260,7 +3639,7 @@ class Activity extends NodeBox {
     for(let i = 0; i < this.notes.length; i++) {
       xml.push(this.notes[i].asXML);
     }
-    xml.push('</notes></activity>');
+    xml.push('</notes>', this.fmvDataAsXML, '</activity>');
     return xml.join('');
   }
 
@@ -2313,6 +3692,58 @@ class Activity extends NodeBox {
         }
       }
     }
+    this.fmvDataFromXML(node);
+  }
+
+  toJSON() {
+    const obj = {code: this.code, name: this.name, actor: this.actor.name,
+        comments: this.comments, x: this.x, y: this.y,
+        incoming_expressions: {}, sub_activities: [], notes: []};
+    for(let c in this.incoming_expressions) {
+      if(this.incoming_expressions.hasOwnProperty(c)) {
+        obj.incoming_expressions[c] = this.incoming_expressions[c].savedText;
+      }
+    }
+    for(let i = 0; i < this.sub_activities.length; i++) {
+      obj.sub_activities.push(this.sub_activities[i].code);
+    }
+    for(let i = 0; i < this.notes.length; i++) {
+      obj.notes.push(this.notes[i].toJSON());
+    }
+    if(Object.keys(this.fmv_data).length) obj.fmv_data = this.fmv_data;
+    return obj;
+  }
+
+  fromJSON(obj) {
+    if(obj.code) this.code = '' + obj.code;
+    this.resize();
+    this.comments = obj.comments || '';
+    this.x = parseInt(obj.x) || 0;
+    this.y = parseInt(obj.y) || 0;
+    const ix = obj.incoming_expressions || {};
+    for(let c in this.incoming_expressions) {
+      if(this.incoming_expressions.hasOwnProperty(c)) {
+        this.incoming_expressions[c].text = ix[c] || '';
+      }
+    }
+    const sl = obj.sub_activities || [];
+    for(let i = 0; i < sl.length; i++) {
+      const a = MODEL.activityByCode('' + sl[i]);
+      // As for XML, sub-activities that have not been created yet are
+      // added to the orphan list.
+      if(a) {
+        a.setParent(this);
+      } else {
+        MODEL.orphan_list.push({subact: '' + sl[i], parent: this});
+      }
+    }
+    const nl = obj.notes || [];
+    for(let i = 0; i < nl.length; i++) {
+      const note = new Note(this);
+      note.fromJSON(nl[i]);
+      this.notes.push(note);
+    }
+    this.fmv_data = Object.assign({}, obj.fmv_data);
   }
   
   setParent(pa) {
@@ -2428,6 +3859,18 @@ class Activity extends NodeBox {
   isActive(t) {
     return (MODEL.solved && this.state.O[t] === 1);
   }
+
+  outputState(t) {
+    // Return 1 if this activity is active for tick t, and otherwise 0.
+    // NOTE: While the model is being solved, activities that come later
+    // in the trigger sequence have no state yet for tick t. For these
+    // activities, their state for tick t-1 is returned.
+    let s = this.state.O[t];
+    if(s === undefined || s >= VM.EXCEPTION) {
+      s = (t > 0 ? this.state.O[t - 1] : 0);
+    }
+    return (s === 1 ? 1 : 0);
+  }
   
   activeColor(t) {
     if(this.activated(t)) return UI.color.activated;
@@ -2716,7 +4159,6 @@ class Activity extends NodeBox {
     for(let k in ix) if(ix.hasOwnProperty(k)) {
       s[k][t] = ix[k].result(t);
     }
-    DEBUGGING = true;
     // Review all CRPIT, and apply the default rules if their state still
     // is "not computed" or "undefined".
     for(let k in s) if('CRPIT'.indexOf(k) >= 0) {
@@ -2864,6 +4306,27 @@ class Link {
     }
   }
 
+  toJSON() {
+    return {from: this.from_activity.code, to: this.to_activity.code,
+        connector: this.to_connector, comments: this.comments,
+        aspects: this.aspects.map((a) => a.code)};
+  }
+
+  fromJSON(obj) {
+    this.comments = obj.comments || '';
+    const al = obj.aspects || [];
+    for(let i = 0; i < al.length; i++) {
+      const a = MODEL.aspectByCode('' + al[i]);
+      if(a) {
+        if(!a.parent) a.parent = this.from_activity;
+        addDistinct(a, this.aspects);
+      } else {
+        console.log('ERROR: Failed to add aspect', al[i], 'to link',
+            this.displayName);
+      }
+    }
+  }
+
   copyPropertiesFrom(l) {
     // Set properties to be identical to those of link `l`
     this.comments = l.comments;
@@ -2935,3 +4398,1163 @@ class Link {
   
 } // END of class Link
 
+
+
+// CLASS ExperimentDimension defines the settings of an aspect expression
+// that are to be varied in an experiment.
+class ExperimentDimension {
+  constructor(aspect, settings=[]) {
+    // NOTE: The varied entity can also be a parameter.
+    this.aspect = aspect;
+    // NOTE: A setting is either an expression, or a numeric range that is
+    // written as "from .. to" or as "from .. to step d".
+    this.settings = settings;
+  }
+  
+  get values() {
+    // Return the list of expression texts that the settings define.
+    const
+        num = '([+-]?\\d*\\.?\\d+(?:[eE][+-]?\\d+)?)',
+        re = new RegExp(
+            `^${num}\\s*\\.\\.\\s*${num}(?:\\s+step\\s+${num})?$`, 'i'),
+        vl = [];
+    for(let i = 0; i < this.settings.length; i++) {
+      const
+          s = this.settings[i].trim(),
+          m = s.match(re);
+      if(m) {
+        const
+            from = parseFloat(m[1]),
+            to = parseFloat(m[2]),
+            step = (m[3] ? Math.abs(parseFloat(m[3])) : 1),
+            dir = (to < from ? -1 : 1);
+        // NOTE: A step of 0 would result in an infinite list.
+        if(step > 0) {
+          const n = Math.floor(Math.abs(to - from) / step + 1e-9);
+          for(let k = 0; k <= n; k++) {
+            // Round to 12 digits to prevent values like 0.30000000000000004.
+            vl.push('' + parseFloat((from + dir * k * step).toPrecision(12)));
+          }
+        }
+      } else if(s) {
+        vl.push(s);
+      }
+    }
+    return vl;
+  }
+  
+  get asXML() {
+    const xml = (this.aspect instanceof Parameter ?
+        ['<dimension parameter="', xmlEncoded(this.aspect.name), '">'] :
+        ['<dimension aspect="', this.aspect.code, '">']);
+    for(let i = 0; i < this.settings.length; i++) {
+      xml.push('<setting>', xmlEncoded(this.settings[i]), '</setting>');
+    }
+    xml.push('</dimension>');
+    return xml.join('');
+  }
+
+  toJSON() {
+    if(this.aspect instanceof Parameter) {
+      return {parameter: this.aspect.name, settings: this.settings.slice()};
+    }
+    return {aspect: this.aspect.code, settings: this.settings.slice()};
+  }
+  
+} // END of class ExperimentDimension
+
+
+// CLASS ExperimentRun records the outcomes of one run of an experiment.
+class ExperimentRun {
+  constructor(number, seed, combination=0) {
+    this.number = number;
+    this.seed = seed;
+    // Index of the combination of dimension settings for this run.
+    this.combination = combination;
+    // Per function: the number of times it was activated, and the clock
+    // time of its first activation (or -1 if it was not activated).
+    this.activations = {};
+    this.first_activation = {};
+    // Per aspect: the outcome statistics for its values over all cycles.
+    this.outcomes = {};
+    this.issues = 0;
+  }
+  
+  record() {
+    // Record the results of the model that has just been solved.
+    const acts = MODEL.top_activity.leafActivities;
+    for(let i = 0; i < acts.length; i++) {
+      const a = acts[i];
+      let count = 0,
+          first = -1;
+      for(let t = 0; t <= MODEL.run_length; t++) {
+        if(a.activated(t)) {
+          if(!count) first = MODEL.clock_time[t];
+          count++;
+        }
+      }
+      this.activations[a.displayName] = count;
+      this.first_activation[a.displayName] = first;
+    }
+    for(let k in MODEL.aspects) if(MODEL.aspects.hasOwnProperty(k)) {
+      const
+          a = MODEL.aspects[k],
+          vl = [],
+          o = {};
+      for(let t = 0; t <= MODEL.run_length; t++) vl.push(a.value(t));
+      for(let i = 0; i < VM.outcome_statistics.length; i++) {
+        const s = VM.outcome_statistics[i];
+        o[s] = VM.outcomeStatistic(vl, s);
+      }
+      this.outcomes[a.displayName] = o;
+    }
+    this.issues = VM.issue_list.length;
+  }
+
+} // END of class ExperimentRun
+
+
+// CLASS RunResults records the results of the last run of the model, so
+// that the effect of modifying the model can be seen by comparing them
+// with the results of the next run.
+class RunResults {
+  constructor() {
+    this.time_stamp = new Date();
+    this.scenario = (MODEL.active_scenario ? MODEL.active_scenario.name : '');
+    // NOTE: A run may have been aborted, so record only the cycles that
+    // have been computed.
+    this.last_cycle = Math.min(VM.t, MODEL.run_length);
+    const n = this.last_cycle + 1;
+    this.clock_time = MODEL.clock_time.slice(0, n);
+    this.messages = VM.messages.slice(0, n);
+    // Per expression: its text, so that edits can be listed.
+    // NOTE: Use the texts recorded by the VM when the run started, as
+    // expressions may have been edited since.
+    this.expressions = Object.assign({}, VM.expression_texts);
+    // Per leaf function: the cycles in which it was activated.
+    this.activations = {};
+    const acts = MODEL.top_activity.leafActivities;
+    for(let i = 0; i < acts.length; i++) {
+      const
+          a = acts[i],
+          al = [];
+      for(let t = 0; t < n; t++) if(a.activated(t)) al.push(t);
+      this.activations[a.displayName] = al;
+    }
+    // Per aspect: its values for all cycles.
+    this.values = {};
+    for(let k in MODEL.aspects) if(MODEL.aspects.hasOwnProperty(k)) {
+      const
+          a = MODEL.aspects[k],
+          vl = [];
+      for(let t = 0; t < n; t++) vl.push(a.value(t));
+      this.values[a.displayName] = vl;
+    }
+  }
+  
+  differencesFrom(prev) {
+    // Return the differences between these results and the results
+    // `prev` of an earlier run as an object {expressions, functions,
+    // aspects, messages} where the first three are lists of differences
+    // per entity, and `messages` is the first cycle for which the logged
+    // messages differ (or -1 if they do not).
+    const
+        d = {expressions: [], functions: [], aspects: [], messages: -1},
+        n = Math.min(this.last_cycle, prev.last_cycle) + 1,
+        names = (a, b) => Object.keys(Object.assign({}, a, b)).sort(ciCompare);
+    let xn = names(prev.expressions, this.expressions);
+    for(let i = 0; i < xn.length; i++) {
+      const
+          pt = prev.expressions[xn[i]],
+          ct = this.expressions[xn[i]];
+      if(pt !== ct) {
+        d.expressions.push({name: xn[i], previous: pt, current: ct});
+      }
+    }
+    xn = names(prev.activations, this.activations);
+    for(let i = 0; i < xn.length; i++) {
+      const
+          pl = prev.activations[xn[i]] || [],
+          cl = this.activations[xn[i]] || [];
+      // Functions differ when they are activated in other cycles, or
+      // in the same cycles but at another clock time.
+      let first = -1;
+      for(let j = 0; first < 0 && j < Math.max(pl.length, cl.length); j++) {
+        const pa = pl[j], ca = cl[j];
+        if(pa !== ca || prev.clock_time[pa] !== this.clock_time[ca]) {
+          first = Math.min(pa === undefined ? ca : pa,
+              ca === undefined ? pa : ca);
+        }
+      }
+      if(first >= 0) {
+        d.functions.push({name: xn[i], previous: pl, current: cl,
+            cycle: first});
+      }
+    }
+    xn = names(prev.values, this.values);
+    for(let i = 0; i < xn.length; i++) {
+      const
+          pv = prev.values[xn[i]],
+          cv = this.values[xn[i]];
+      let first = -1;
+      if(!pv || !cv) {
+        first = 0;
+      } else {
+        for(let t = 0; first < 0 && t < n; t++) {
+          if(pv[t] !== cv[t]) first = t;
+        }
+      }
+      if(first >= 0) {
+        d.aspects.push({name: xn[i], cycle: first,
+            previous: (pv ? pv[first] : VM.UNDEFINED),
+            current: (cv ? cv[first] : VM.UNDEFINED)});
+      }
+    }
+    for(let t = 0; d.messages < 0 && t < n; t++) {
+      // NOTE: Ignore the line with the date and time of the run.
+      const
+          re = /^Simulation started at .*$/m,
+          pm = (prev.messages[t] || '').replace(re, ''),
+          cm = (this.messages[t] || '').replace(re, '');
+      if(pm !== cm) d.messages = t;
+    }
+    return d;
+  }
+
+} // END of class RunResults
+
+
+// CLASS Experiment repeats the simulation of a model to obtain statistics
+// on the variability of its outcomes. When the experiment has dimensions,
+// the model is run (repeatedly) for each combination of their settings.
+class Experiment {
+  constructor() {
+    // Number of runs per combination of settings.
+    this.runs = 100;
+    // Outcome statistic that characterizes aspect values in a single run.
+    this.statistic = 'LAST';
+    this.dimensions = [];
+    this.clear();
+  }
+  
+  get activeDimensions() {
+    // Return the dimensions for aspects and parameters that still exist
+    // in the model.
+    if(!this.dimensions.length) return [];
+    const al = Object.values(MODEL.aspects).concat(
+        Object.values(MODEL.parameters));
+    return this.dimensions.filter((d) => al.indexOf(d.aspect) >= 0);
+  }
+  
+  dimensionFor(aspect) {
+    // Return the dimension that varies `aspect`, or NULL if none.
+    for(let i = 0; i < this.dimensions.length; i++) {
+      if(this.dimensions[i].aspect === aspect) return this.dimensions[i];
+    }
+    return null;
+  }
+  
+  get combinations() {
+    // Return the list of all combinations of dimension values, i.e., the
+    // Cartesian product of the value lists.
+    let cl = [[]];
+    const dl = this.activeDimensions;
+    for(let i = 0; i < dl.length; i++) {
+      const
+          vl = dl[i].values,
+          ncl = [];
+      for(let j = 0; j < cl.length; j++) {
+        for(let k = 0; k < vl.length; k++) ncl.push(cl[j].concat([vl[k]]));
+      }
+      cl = ncl;
+    }
+    return cl;
+  }
+  
+  clear() {
+    // Remove all results of previous runs, and fix the dimensions and
+    // their combinations for the next runs.
+    this.results = [];
+    this.swept = this.activeDimensions;
+    this.sweep = this.combinations;
+  }
+  
+  get totalRuns() {
+    return this.runs * this.sweep.length;
+  }
+  
+  get completed() {
+    return this.results.length >= this.totalRuns;
+  }
+  
+  runSeed(n) {
+    // Return the random seed for the n-th run of a combination.
+    // NOTE: When the model has a seed, the experiment as a whole is
+    // reproducible, while its runs still differ from each other. As
+    // all combinations use the same seeds, differences between their
+    // results are due to the settings, not to chance.
+    return (MODEL.random_seed ? `${MODEL.random_seed}#${n}` : '');
+  }
+  
+  performNextRun() {
+    // Solve the model once more, and record its results.
+    const
+        n = this.results.length,
+        c = Math.floor(n / this.runs),
+        r = new ExperimentRun(n + 1, this.runSeed(n % this.runs + 1), c),
+        combi = this.sweep[c],
+        saved = [];
+    // Temporarily replace the expressions of the swept aspects.
+    for(let i = 0; i < this.swept.length; i++) {
+      const x = this.swept[i].aspect.expression;
+      saved.push(x.text);
+      x.text = combi[i];
+    }
+    try {
+      // NOTE: The VM will compile the expressions when it is reset.
+      VM.runAllCycles(r.seed, false);
+      r.record();
+    } finally {
+      // NOTE: Also recompile the restored expressions, so that their code
+      // no longer pertains to this combination of settings.
+      for(let i = 0; i < this.swept.length; i++) {
+        const x = this.swept[i].aspect.expression;
+        x.text = saved[i];
+        x.compile();
+      }
+    }
+    this.results.push(r);
+    return r;
+  }
+  
+  get functionStatistics() {
+    // Return for each function the number of runs in which it was
+    // activated, the mean number of activations per run, and statistics
+    // for the clock time of its first activation.
+    const
+        n = this.results.length,
+        fl = [];
+    if(!n) return fl;
+    const names = Object.keys(this.results[0].activations).sort(ciCompare);
+    for(let i = 0; i < names.length; i++) {
+      const
+          fn = names[i],
+          times = [];
+      let count = 0;
+      for(let j = 0; j < n; j++) {
+        const r = this.results[j];
+        count += r.activations[fn];
+        if(r.activations[fn]) times.push(r.first_activation[fn]);
+      }
+      fl.push({
+          name: fn,
+          runs: times.length,
+          frequency: times.length / n,
+          activations: count / n,
+          first_MEAN: VM.outcomeStatistic(times, 'MEAN'),
+          first_SD: VM.outcomeStatistic(times, 'SD'),
+          first_MIN: VM.outcomeStatistic(times, 'MIN'),
+          first_MAX: VM.outcomeStatistic(times, 'MAX')
+        });
+    }
+    return fl;
+  }
+  
+  get aspectStatistics() {
+    // Return for each aspect the spread over all runs of the selected
+    // outcome statistic.
+    const
+        n = this.results.length,
+        al = [];
+    if(!n) return al;
+    const names = Object.keys(this.results[0].outcomes).sort(ciCompare);
+    for(let i = 0; i < names.length; i++) {
+      const
+          an = names[i],
+          vl = [];
+      for(let j = 0; j < n; j++) {
+        vl.push(this.results[j].outcomes[an][this.statistic]);
+      }
+      const as = {name: an};
+      for(const s of ['N', 'MEAN', 'SD', 'MIN', 'MAX']) {
+        as[s] = VM.outcomeStatistic(vl, s);
+      }
+      al.push(as);
+    }
+    return al;
+  }
+  
+  get exitFunctionNames() {
+    // Return the sorted list of names of exit functions.
+    const
+        acts = MODEL.top_activity.leafActivities,
+        names = [];
+    for(let i = 0; i < acts.length; i++) {
+      if(acts[i].isExit) names.push(acts[i].displayName);
+    }
+    return names.sort(ciCompare);
+  }
+  
+  get sweepStatistics() {
+    // Return for each combination of settings (for which runs have been
+    // performed) the fraction of runs in which the exit functions were
+    // reached, and the mean clock time when they were first reached.
+    const
+        exits = this.exitFunctionNames,
+        sl = [];
+    for(let c = 0; c < this.sweep.length; c++) {
+      const rl = this.results.filter((r) => r.combination === c);
+      if(!rl.length) break;
+      const cs = {settings: this.sweep[c], runs: rl.length, exits: {}};
+      for(let i = 0; i < exits.length; i++) {
+        const
+            en = exits[i],
+            times = [];
+        for(let j = 0; j < rl.length; j++) {
+          if(rl[j].activations[en]) times.push(rl[j].first_activation[en]);
+        }
+        cs.exits[en] = {
+            frequency: times.length / rl.length,
+            first_MEAN: VM.outcomeStatistic(times, 'MEAN')
+          };
+      }
+      sl.push(cs);
+    }
+    return sl;
+  }
+  
+  get resultsAsText() {
+    // Return the experiment statistics as tab-separated text.
+    const
+        fs = this.functionStatistics,
+        as = this.aspectStatistics,
+        lines = [`Runs\t${this.results.length}`, '',
+            ['Function', 'Activated', 'Frequency', 'Activations per run',
+                'Mean first activation', 'SD', 'Min', 'Max'].join('\t')],
+        num = (x) => (x >= VM.EXCEPTION ? '' : x);
+    for(let i = 0; i < fs.length; i++) {
+      const f = fs[i];
+      lines.push([f.name, f.runs, f.frequency, f.activations,
+          num(f.first_MEAN), num(f.first_SD), num(f.first_MIN),
+          num(f.first_MAX)].join('\t'));
+    }
+    lines.push('', ['Aspect (' + this.statistic + ')',
+        'N', 'Mean', 'SD', 'Min', 'Max'].join('\t'));
+    for(let i = 0; i < as.length; i++) {
+      const a = as[i];
+      lines.push([a.name, a.N, num(a.MEAN), num(a.SD), num(a.MIN),
+          num(a.MAX)].join('\t'));
+    }
+    if(this.swept.length) {
+      const
+          exits = this.exitFunctionNames,
+          hdr = this.swept.map((d) => d.aspect.displayName);
+      hdr.push('Runs');
+      for(let i = 0; i < exits.length; i++) {
+        hdr.push(exits[i] + ' reached', exits[i] + ' mean time');
+      }
+      lines.push('', hdr.join('\t'));
+      const ss = this.sweepStatistics;
+      for(let i = 0; i < ss.length; i++) {
+        const row = ss[i].settings.concat([ss[i].runs]);
+        for(let j = 0; j < exits.length; j++) {
+          const e = ss[i].exits[exits[j]];
+          row.push(e.frequency, num(e.first_MEAN));
+        }
+        lines.push(row.join('\t'));
+      }
+    }
+    return lines.join('\n');
+  }
+  
+  get asXML() {
+    const dl = this.activeDimensions;
+    // NOTE: Experiments with default settings are not saved.
+    if(this.runs === 100 && this.statistic === 'LAST' && !dl.length) return '';
+    const xml = ['<experiment runs="', this.runs, '" statistic="',
+        this.statistic, '">'];
+    for(let i = 0; i < dl.length; i++) xml.push(dl[i].asXML);
+    xml.push('</experiment>');
+    return xml.join('');
+  }
+  
+  initFromXML(node) {
+    this.runs = Math.max(1, safeStrToInt(nodeParameterValue(node, 'runs'), 100));
+    const s = nodeParameterValue(node, 'statistic');
+    if(VM.outcome_statistics.indexOf(s) >= 0) this.statistic = s;
+    this.dimensions.length = 0;
+    for(let i = 0; i < node.childNodes.length; i++) {
+      const c = node.childNodes[i];
+      if(c.nodeName === 'dimension') {
+        const
+            pn = nodeParameterValue(c, 'parameter'),
+            a = (pn ? MODEL.parameterByID(UI.nameToID(xmlDecoded(pn))) :
+                MODEL.aspectByCode(nodeParameterValue(c, 'aspect')));
+        if(a) {
+          const sl = [];
+          for(let j = 0; j < c.childNodes.length; j++) {
+            const sn = c.childNodes[j];
+            if(sn.nodeName === 'setting') sl.push(xmlDecoded(nodeContent(sn)));
+          }
+          this.dimensions.push(new ExperimentDimension(a, sl));
+        }
+      }
+    }
+    this.clear();
+  }
+
+  toJSON() {
+    return {runs: this.runs, statistic: this.statistic,
+        dimensions: this.activeDimensions.map((d) => d.toJSON())};
+  }
+
+  fromJSON(obj) {
+    this.runs = Math.max(1, parseInt(obj.runs) || 100);
+    if(VM.outcome_statistics.indexOf(obj.statistic) >= 0) {
+      this.statistic = obj.statistic;
+    }
+    this.dimensions.length = 0;
+    const dl = obj.dimensions || [];
+    for(let i = 0; i < dl.length; i++) {
+      const a = (dl[i].parameter ?
+          MODEL.parameterByID(UI.nameToID('' + dl[i].parameter)) :
+          MODEL.aspectByCode('' + dl[i].aspect));
+      if(a) {
+        this.dimensions.push(new ExperimentDimension(a,
+            (dl[i].settings || []).map((s) => '' + s)));
+      }
+    }
+    this.clear();
+  }
+
+} // END of class Experiment
+
+
+// CLASS Scenario overrides the expressions of selected aspects and of the
+// incoming connectors of selected functions. When a scenario is active,
+// its expressions replace those of the base model, so that they are used
+// when running the model and can be edited as usual.
+class Scenario {
+  constructor(name) {
+    this.name = name;
+    // Each override is an object {object, connector, text, base}, where
+    // `object` is an aspect or an activity, `connector` is the letter of
+    // the incoming connector for activities, and `base` is the text of
+    // the base model expression while the scenario is active.
+    this.overrides = [];
+    this.active = false;
+  }
+  
+  expression(o) {
+    // Return the expression that is overridden by override `o`.
+    if(o.object instanceof Aspect) return o.object.expression;
+    return o.object.incoming_expressions[o.connector];
+  }
+  
+  overrideName(o) {
+    // Return the name of the overridden expression.
+    return this.expression(o).variableName;
+  }
+  
+  text(o) {
+    // Return the current text of override `o`.
+    // NOTE: While active, the text may have been edited in the model.
+    return (this.active ? this.expression(o).text : o.text);
+  }
+  
+  purge() {
+    // Remove overrides for entities that have been deleted from the model.
+    for(let i = this.overrides.length - 1; i >= 0; i--) {
+      const o = this.overrides[i].object;
+      if(MODEL.nodeBoxByID(o.identifier) !== o) this.overrides.splice(i, 1);
+    }
+  }
+  
+  indexOf(obj, connector='') {
+    // Return the index of the override for `obj` and `connector`.
+    for(let i = 0; i < this.overrides.length; i++) {
+      const o = this.overrides[i];
+      if(o.object === obj && (obj instanceof Aspect || o.connector === connector)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+  
+  setOverride(obj, connector, text) {
+    // Add or modify the override for `obj` and `connector`.
+    let i = this.indexOf(obj, connector),
+        o = (i >= 0 ? this.overrides[i] : null);
+    if(!o) {
+      o = {object: obj, connector: (obj instanceof Aspect ? '' : connector),
+          text: text, base: ''};
+      this.overrides.push(o);
+      if(this.active) o.base = this.expression(o).text;
+    }
+    o.text = text;
+    if(this.active) this.expression(o).text = text;
+  }
+  
+  removeOverride(index) {
+    // Remove override at position `index`, restoring the base expression
+    // if this scenario is active.
+    const o = this.overrides[index];
+    if(!o) return;
+    if(this.active) this.expression(o).text = o.base;
+    this.overrides.splice(index, 1);
+  }
+  
+  baseText(x) {
+    // Return the base model text for expression `x` if this scenario is
+    // active and overrides `x`, or otherwise NULL.
+    if(this.active) {
+      for(let i = 0; i < this.overrides.length; i++) {
+        const o = this.overrides[i];
+        if(this.expression(o) === x) return o.base;
+      }
+    }
+    return null;
+  }
+  
+  activate() {
+    // Replace the base model expressions by those of this scenario.
+    if(this.active) return;
+    this.purge();
+    for(let i = 0; i < this.overrides.length; i++) {
+      const
+          o = this.overrides[i],
+          x = this.expression(o);
+      o.base = x.text;
+      x.text = o.text;
+      // NOTE: Expressions will be compiled when the VM is reset.
+      x.code = null;
+    }
+    this.active = true;
+  }
+  
+  deactivate() {
+    // Restore the base model expressions, while retaining any edits of
+    // the scenario expressions.
+    if(!this.active) return;
+    this.purge();
+    for(let i = 0; i < this.overrides.length; i++) {
+      const
+          o = this.overrides[i],
+          x = this.expression(o);
+      o.text = x.text;
+      x.text = o.base;
+      x.code = null;
+    }
+    this.active = false;
+  }
+  
+  get asXML() {
+    this.purge();
+    const xml = ['<scenario name="', xmlEncoded(this.name), '">'];
+    for(let i = 0; i < this.overrides.length; i++) {
+      const o = this.overrides[i];
+      if(o.object instanceof Aspect) {
+        xml.push('<override aspect="', o.object.code, '">');
+      } else {
+        xml.push('<override function="', o.object.code, '" connector="',
+            o.connector, '">');
+      }
+      xml.push(xmlEncoded(this.text(o)), '</override>');
+    }
+    xml.push('</scenario>');
+    return xml.join('');
+  }
+  
+  initFromXML(node) {
+    for(let i = 0; i < node.childNodes.length; i++) {
+      const c = node.childNodes[i];
+      if(c.nodeName === 'override') {
+        const
+            ac = nodeParameterValue(c, 'aspect'),
+            fc = nodeParameterValue(c, 'function'),
+            cc = nodeParameterValue(c, 'connector'),
+            text = xmlDecoded(nodeContent(c));
+        if(ac) {
+          const a = MODEL.aspectByCode(ac);
+          if(a) this.setOverride(a, '', text);
+        } else {
+          const a = MODEL.activityByCode(fc);
+          if(a && 'CRPIT'.indexOf(cc) >= 0 && cc.length === 1) {
+            this.setOverride(a, cc, text);
+          }
+        }
+      }
+    }
+  }
+
+  toJSON() {
+    this.purge();
+    const obj = {name: this.name, overrides: []};
+    for(let i = 0; i < this.overrides.length; i++) {
+      const o = this.overrides[i];
+      if(o.object instanceof Aspect) {
+        obj.overrides.push({aspect: o.object.code, text: this.text(o)});
+      } else {
+        obj.overrides.push({function: o.object.code, connector: o.connector,
+            text: this.text(o)});
+      }
+    }
+    return obj;
+  }
+
+  fromJSON(obj) {
+    const ol = obj.overrides || [];
+    for(let i = 0; i < ol.length; i++) {
+      const
+          o = ol[i],
+          text = o.text || '';
+      if(o.aspect) {
+        const a = MODEL.aspectByCode('' + o.aspect);
+        if(a) this.setOverride(a, '', text);
+      } else {
+        const
+            a = MODEL.activityByCode('' + o.function),
+            cc = o.connector || '';
+        if(a && 'CRPIT'.indexOf(cc) >= 0 && cc.length === 1) {
+          this.setOverride(a, cc, text);
+        }
+      }
+    }
+  }
+
+} // END of class Scenario
+
+
+// CLASS ModelComparison lists the structural differences between the
+// current model and another model (typically a copy of the same model
+// that has been edited by someone else), and merges selected differences
+// into the current model.
+class ModelComparison {
+  constructor(xml) {
+    // Load the other model from `xml` as a separate model instance.
+    // NOTE: Model entities refer to the global MODEL while being
+    // initialized, so this must temporarily be the other model. While
+    // creating this model, MODEL is NULL so that the top function code
+    // is not taken from the current model.
+    const current = MODEL;
+    try {
+      MODEL = null;
+      this.other = new FRAMifierModel();
+      MODEL = this.other;
+      this.other.parseXML(xml);
+    } finally {
+      MODEL = current;
+    }
+    this.differences = [];
+    this.compare();
+  }
+  
+  addDifference(type, change, entity, other, property='') {
+    // Add a difference to the list. `entity` is the entity in the current
+    // model (NULL when added), and `other` its counterpart in the other
+    // model (NULL when removed).
+    // NOTE: The key identifies the difference when the list is compiled
+    // anew after the model has been modified.
+    const name = (entity || other).displayName;
+    this.differences.push({type: type, change: change, name: name,
+        property: property, entity: entity, other: other,
+        key: [type, change, name, property].join('|')});
+  }
+  
+  matchEntities(mine, theirs, map) {
+    // Add to `map` for each entity in dictionary `theirs` the entity in
+    // dictionary `mine` having the same identifier or, when renamed, the
+    // same code, and return the unmatched entities of both models as
+    // {mine, theirs}.
+    // NOTE: When both modelers have added an entity, these entities may
+    // have the same code, and then they will be reported as renamed.
+    const
+        mu = {},
+        tu = [];
+    for(let k in mine) if(mine.hasOwnProperty(k)) mu[k] = mine[k];
+    for(let k in theirs) if(theirs.hasOwnProperty(k)) {
+      if(mu.hasOwnProperty(k)) {
+        map[k] = mu[k];
+        delete mu[k];
+      } else {
+        tu.push(theirs[k]);
+      }
+    }
+    const
+        byCode = {},
+        unmatched = {mine: [], theirs: []};
+    for(let k in mu) if(mu.hasOwnProperty(k) && mu[k].code) {
+      byCode[mu[k].code] = mu[k];
+    }
+    for(let i = 0; i < tu.length; i++) {
+      const m = byCode[tu[i].code];
+      if(m) {
+        map[tu[i].identifier] = m;
+        delete mu[m.identifier];
+      } else {
+        unmatched.theirs.push(tu[i]);
+      }
+    }
+    for(let k in mu) if(mu.hasOwnProperty(k)) unmatched.mine.push(mu[k]);
+    return unmatched;
+  }
+  
+  compare() {
+    // Compile the list of differences between the current model and the
+    // other model.
+    const
+        o = this.other,
+        noa = UI.nameToID(UI.NO_ACTOR),
+        ut = MODEL.top_activity.identifier,
+        // NOTE: Comparing top functions is meaningless, so match them
+        // without adding them to the dictionaries.
+        acts = Object.assign({}, MODEL.activities),
+        other_acts = Object.assign({}, o.activities);
+    delete acts[ut];
+    delete other_acts[o.top_activity.identifier];
+    this.differences.length = 0;
+    this.actor_map = {};
+    this.activity_map = {};
+    this.activity_map[o.top_activity.identifier] = MODEL.top_activity;
+    this.aspect_map = {};
+    // Model properties.
+    for(const p of ['comments', 'run_length', 'random_seed', 'start_time']) {
+      if(MODEL[p] !== o[p]) {
+        this.addDifference('model', 'modified', MODEL, o, p);
+      }
+    }
+    // Functions.
+    const fu = this.matchEntities(acts, other_acts, this.activity_map);
+    // Actors are matched by name or, when renamed, by the functions they
+    // perform.
+    const
+        actors = Object.assign({}, MODEL.actors),
+        other_actors = Object.assign({}, o.actors);
+    delete actors[noa];
+    delete other_actors[noa];
+    const au = this.matchEntities(actors, other_actors, this.actor_map);
+    for(let k in this.activity_map) if(this.activity_map.hasOwnProperty(k)) {
+      const
+          ta = o.activities[k].actor,
+          ma = this.activity_map[k].actor,
+          mi = au.mine.indexOf(ma),
+          ti = au.theirs.indexOf(ta);
+      if(mi >= 0 && ti >= 0) {
+        this.actor_map[ta.identifier] = ma;
+        au.mine.splice(mi, 1);
+        au.theirs.splice(ti, 1);
+      }
+    }
+    for(let k in this.actor_map) if(this.actor_map.hasOwnProperty(k)) {
+      const
+          ma = this.actor_map[k],
+          ta = o.actors[k];
+      if(ma.name !== ta.name) this.addDifference('actor', 'renamed', ma, ta);
+      for(const p of ['color', 'comments']) {
+        if(ma[p] !== ta[p]) this.addDifference('actor', 'modified', ma, ta, p);
+      }
+    }
+    for(let i = 0; i < au.theirs.length; i++) {
+      this.addDifference('actor', 'added', null, au.theirs[i]);
+    }
+    for(let i = 0; i < au.mine.length; i++) {
+      this.addDifference('actor', 'removed', au.mine[i], null);
+    }
+    for(let k in this.activity_map) if(this.activity_map.hasOwnProperty(k)) {
+      const
+          ma = this.activity_map[k],
+          ta = o.activities[k];
+      if(ta === o.top_activity) continue;
+      // NOTE: A function is not renamed when only its actor has been
+      // renamed.
+      if(ma.name !== ta.name ||
+          (ta.hasActor ? this.actor_map[ta.actor.identifier] !== ma.actor :
+              ma.hasActor)) {
+        this.addDifference('function', 'renamed', ma, ta);
+      }
+      if(ma.comments !== ta.comments) {
+        this.addDifference('function', 'modified', ma, ta, 'comments');
+      }
+      for(const c of 'CRPIT') {
+        if(ma.incoming_expressions[c].text !==
+            ta.incoming_expressions[c].text) {
+          this.addDifference('function', 'modified', ma, ta, c);
+        }
+      }
+    }
+    for(let i = 0; i < fu.theirs.length; i++) {
+      this.addDifference('function', 'added', null, fu.theirs[i]);
+    }
+    for(let i = 0; i < fu.mine.length; i++) {
+      this.addDifference('function', 'removed', fu.mine[i], null);
+    }
+    // Aspects.
+    const su = this.matchEntities(MODEL.aspects, o.aspects, this.aspect_map);
+    for(let k in this.aspect_map) if(this.aspect_map.hasOwnProperty(k)) {
+      const
+          ma = this.aspect_map[k],
+          ta = o.aspects[k];
+      if(ma.name !== ta.name) this.addDifference('aspect', 'renamed', ma, ta);
+      if(ma.comments !== ta.comments) {
+        this.addDifference('aspect', 'modified', ma, ta, 'comments');
+      }
+      if(ma.expression.text !== ta.expression.text) {
+        this.addDifference('aspect', 'modified', ma, ta, 'expression');
+      }
+    }
+    for(let i = 0; i < su.theirs.length; i++) {
+      this.addDifference('aspect', 'added', null, su.theirs[i]);
+    }
+    for(let i = 0; i < su.mine.length; i++) {
+      this.addDifference('aspect', 'removed', su.mine[i], null);
+    }
+    // Links are matched by the functions they connect.
+    const matched = [];
+    for(let k in o.links) if(o.links.hasOwnProperty(k)) {
+      const
+          tl = o.links[k],
+          ml = this.counterpartLink(tl);
+      if(!ml) {
+        this.addDifference('link', 'added', null, tl);
+        continue;
+      }
+      matched.push(ml);
+      if(ml.comments !== tl.comments) {
+        this.addDifference('link', 'modified', ml, tl, 'comments');
+      }
+      const tal = tl.aspects.map((a) => this.aspect_map[a.identifier]);
+      if(tal.length !== ml.aspects.length ||
+          tal.some((a) => ml.aspects.indexOf(a) < 0)) {
+        this.addDifference('link', 'modified', ml, tl, 'aspects');
+      }
+    }
+    for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+      const ml = MODEL.links[k];
+      if(matched.indexOf(ml) < 0) {
+        this.addDifference('link', 'removed', ml, null);
+      }
+    }
+  }
+  
+  counterpartLink(l) {
+    // Return the link in the current model that corresponds to link `l`
+    // in the other model, or NULL if there is no such link.
+    const
+        fa = this.activity_map[l.from_activity.identifier],
+        ta = this.activity_map[l.to_activity.identifier];
+    if(!fa || !ta) return null;
+    return MODEL.linkByID(UI.linkIdentifier(fa, ta, l.to_connector));
+  }
+  
+  propertyValue(d, obj) {
+    // Return the value of the property of difference `d` for entity `obj`.
+    const p = d.property;
+    if(!obj) return '';
+    if(d.change !== 'modified') return obj.displayName;
+    if(p === 'expression') return obj.expression.text;
+    if(p.length === 1) return obj.incoming_expressions[p].text;
+    if(p === 'aspects') {
+      return obj.aspects.map((a) => a.displayName).sort(ciCompare).join(', ');
+    }
+    return '' + obj[p];
+  }
+  
+  propertyName(d) {
+    // Return a readable name for the property of difference `d`.
+    const p = d.property;
+    if(!p) return d.change;
+    if(p.length === 1) return circledLetter(p) + ' expression';
+    return p.replace('_', ' ');
+  }
+  
+  actorName(a) {
+    // Return the name of the actor in the current model that corresponds
+    // to actor `a` in the other model.
+    if(a.name === UI.NO_ACTOR) return UI.NO_ACTOR;
+    const ma = this.actor_map[a.identifier];
+    return (ma ? ma.name : a.name);
+  }
+  
+  counterpartAspect(a) {
+    // Return the aspect in the current model that corresponds to aspect
+    // `a` in the other model, adding it to the model if needed.
+    let ma = this.aspect_map[a.identifier];
+    if(!ma) {
+      ma = MODEL.addAspect(a.name);
+      if(ma) {
+        ma.comments = a.comments;
+        ma.expression.text = a.expression.text;
+        this.aspect_map[a.identifier] = ma;
+      }
+    }
+    return ma;
+  }
+  
+  merge(keys) {
+    // Merge the differences identified by the list `keys` into the current
+    // model, and return the number of differences that could not be merged.
+    // NOTE: The differences are merged in an order that ensures that
+    // entities exist before they are referred to. Renaming an actor means
+    // renaming all its functions, so this is done before changing the
+    // functions, and actors are added and modified after the functions,
+    // as renaming a function will remove actors that have no functions.
+    this.compare();
+    const
+        dl = this.differences.filter((d) => keys.indexOf(d.key) >= 0),
+        depth = (a) => {
+            let n = 0;
+            while(a.parent) {
+              n++;
+              a = a.parent;
+            }
+            return n;
+          },
+        order = ['model modified', 'actor renamed',
+            'aspect added', 'aspect renamed', 'aspect modified',
+            'function added', 'function renamed', 'function modified',
+            'actor added', 'actor modified', 'link added', 'link modified',
+            'link removed', 'function removed', 'aspect removed',
+            'actor removed'],
+        rank = (d) => order.indexOf(d.type + ' ' + d.change),
+        byOrder = (a, b) => {
+            const r = rank(a) - rank(b);
+            if(r || a.type !== 'function') return r;
+            // Add parent functions first, and remove them last.
+            const dd = depth(a.other || a.entity) - depth(b.other || b.entity);
+            return (a.change === 'removed' ? -dd : dd);
+          },
+        fa = MODEL.focal_activity;
+    dl.sort(byOrder);
+    let failed = 0;
+    for(let i = 0; i < dl.length; i++) {
+      if(!this.mergeDifference(dl[i])) failed++;
+    }
+    MODEL.focal_activity = fa;
+    MODEL.cleanUpActors();
+    this.compare();
+    return failed;
+  }
+  
+  mergeDifference(d) {
+    // Change the current model so that difference `d` no longer exists,
+    // and return TRUE if successful.
+    const
+        e = d.entity,
+        o = d.other;
+    if(d.change === 'modified') {
+      const p = d.property;
+      if(p === 'expression') {
+        e.expression.text = o.expression.text;
+        e.expression.code = null;
+      } else if(p.length === 1) {
+        e.incoming_expressions[p].text = o.incoming_expressions[p].text;
+        e.incoming_expressions[p].code = null;
+      } else if(p === 'aspects') {
+        const al = [];
+        for(let i = 0; i < o.aspects.length; i++) {
+          const a = this.counterpartAspect(o.aspects[i]);
+          if(a) al.push(a);
+        }
+        MODEL.removeAspectsFromLink(
+            e.aspects.filter((a) => al.indexOf(a) < 0), e);
+        for(let i = 0; i < al.length; i++) MODEL.addAspect(al[i].name, e);
+      } else {
+        e[p] = o[p];
+      }
+      return true;
+    }
+    if(d.type === 'actor') {
+      if(d.change === 'renamed') {
+        // Rename the actor by moving all its functions to an actor
+        // with the new name.
+        const al = Object.values(MODEL.activities).filter(
+            (a) => a.actor === e);
+        let ok = true;
+        for(let i = 0; i < al.length; i++) {
+          ok = (al[i].rename(al[i].name, o.name) === true) && ok;
+        }
+        const na = MODEL.addActor(o.name);
+        na.color = e.color;
+        na.comments = e.comments;
+        this.actor_map[o.identifier] = na;
+        return ok;
+      }
+      if(d.change === 'added') {
+        const na = MODEL.addActor(o.name);
+        na.color = o.color;
+        na.comments = o.comments;
+        this.actor_map[o.identifier] = na;
+        return true;
+      }
+      // An actor can only be removed when it has no functions.
+      if(Object.values(MODEL.activities).some((a) => a.actor === e)) {
+        return false;
+      }
+      delete MODEL.actors[e.identifier];
+      return true;
+    }
+    if(d.type === 'aspect') {
+      if(d.change === 'renamed') return e.rename(o.name) === true;
+      if(d.change === 'added') return !!this.counterpartAspect(o);
+      if(MODEL.aspects[e.identifier] !== e) return true;
+      const ll = MODEL.linksWithAspect(e);
+      for(let i = 0; i < ll.length; i++) {
+        MODEL.removeAspectsFromLink([e], ll[i]);
+      }
+      delete MODEL.aspects[e.identifier];
+      return true;
+    }
+    if(d.type === 'function') {
+      if(d.change === 'renamed') {
+        return e.rename(o.name, this.actorName(o.actor)) === true;
+      }
+      if(d.change === 'added') {
+        MODEL.focal_activity = this.activity_map[o.parent.identifier] ||
+            MODEL.top_activity;
+        const a = MODEL.addActivity(o.name, this.actorName(o.actor));
+        if(!a) return false;
+        a.x = o.x;
+        a.y = o.y;
+        a.comments = o.comments;
+        for(const c of 'CRPIT') {
+          a.incoming_expressions[c].text = o.incoming_expressions[c].text;
+        }
+        this.activity_map[o.identifier] = a;
+        return true;
+      }
+      // NOTE: The function may already have been deleted as part of its
+      // parent function.
+      if(MODEL.activities[e.identifier] === e) MODEL.deleteActivity(e);
+      return true;
+    }
+    // Remaining differences concern links.
+    if(d.change === 'added') {
+      const
+          fa = this.activity_map[o.from_activity.identifier],
+          ta = this.activity_map[o.to_activity.identifier];
+      if(!fa || !ta) return false;
+      const l = MODEL.addLink(fa, ta, o.to_connector);
+      l.comments = o.comments;
+      for(let i = 0; i < o.aspects.length; i++) {
+        const a = this.counterpartAspect(o.aspects[i]);
+        if(a) MODEL.addAspect(a.name, l);
+      }
+      return true;
+    }
+    if(MODEL.links[e.identifier] === e) MODEL.deleteLink(e);
+    return true;
+  }
+  
+  get differencesAsText() {
+    // Return the differences as tab-separated text.
+    const lines = ['Type\tChange\tName\tThis model\tOther model'];
+    for(let i = 0; i < this.differences.length; i++) {
+      const d = this.differences[i];
+      lines.push([d.type, this.propertyName(d), d.name,
+          this.propertyValue(d, d.entity), this.propertyValue(d, d.other)]
+          .map((s) => ('' + s).replace(/\s+/g, ' ')).join('\t'));
+    }
+    return lines.join('\n');
+  }
+
+} // END of class ModelComparison
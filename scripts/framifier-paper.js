@@ -315,6 +315,29 @@ class Paper {
     return this.svg.outerHTML.replaceAll(' opacity="0.9"', ' opacity="1"');
   }
   
+  diagramAsSVG(mdl, act, margin=10) {
+    // Return the diagram of activity `act` as SVG string that has its view
+    // box fitted to the diagram, so that it scales well in documents.
+    // NOTE: This redraws the paper, so the calling routine should redraw
+    // the diagram of the focal activity when done.
+    const fa = mdl.focal_activity;
+    mdl.focal_activity = act;
+    this.drawModel(mdl);
+    mdl.focal_activity = fa;
+    this.removeInvisibleSVG();
+    const
+        bb = this.svg.getBBox(),
+        w = Math.ceil(bb.width + 2 * margin),
+        h = Math.ceil(bb.height + 2 * margin),
+        svg = this.svg.cloneNode(true);
+    svg.removeAttribute('id');
+    svg.setAttribute('width', w);
+    svg.setAttribute('height', h);
+    svg.setAttribute('viewBox',
+        [bb.x - margin, bb.y - margin, w, h].join(' '));
+    return svg.outerHTML.replaceAll(' opacity="0.9"', ' opacity="1"');
+  }
+  
   clear() {
     // Clear the shapes dictionary and the entire SVG.
     this.shapes = {};
@@ -0,0 +1,205 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-player.js) provides the GUI functionality
+for the FRAMifier player: the draggable dialog with controls to animate
+the model diagram by advancing the simulation cycle automatically, and
+to download this animation as a sequence of SVG frames.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS Player
+class Player {
+  constructor() {
+    this.dialog = UI.draggableDialog('player');
+    UI.resizableDialog('player', 'PLAYER');
+    this.close_btn = document.getElementById('player-close-btn');
+    this.first_btn = document.getElementById('player-first-btn');
+    this.play_btn = document.getElementById('player-play-btn');
+    this.pause_btn = document.getElementById('player-pause-btn');
+    this.speed = document.getElementById('player-speed');
+    this.loop_box = document.getElementById('player-loop');
+    this.slider = document.getElementById('player-slider');
+    this.from_cycle = document.getElementById('player-from');
+    this.to_cycle = document.getElementById('player-to');
+    this.frames_btn = document.getElementById('player-frames-btn');
+    this.status = document.getElementById('player-status');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.first_btn.addEventListener('click', () => PLAYER.rewind());
+    this.play_btn.addEventListener('click', () => PLAYER.play());
+    this.pause_btn.addEventListener('click', () => PLAYER.pause());
+    this.loop_box.addEventListener('click', (event) => UI.toggleBox(event));
+    this.slider.addEventListener(
+        'input', () => UI.showCycle(parseInt(PLAYER.slider.value)));
+    this.frames_btn.addEventListener('click', () => PLAYER.exportFrames());
+    this.timer = null;
+    this.exporting = false;
+    this.reset();
+  }
+
+  reset() {
+    this.pause();
+    this.visible = false;
+    this.exporting = false;
+    this.from_cycle.value = '';
+    this.to_cycle.value = '';
+    this.updateDialog();
+  }
+  
+  get playing() {
+    return this.timer !== null;
+  }
+  
+  updateButtons() {
+    // Show either the Play or the Pause button, and enable the controls
+    // only when there are results to animate.
+    if(this.playing) {
+      this.play_btn.classList.add('off');
+      this.pause_btn.classList.remove('off');
+    } else {
+      this.play_btn.classList.remove('off');
+      this.pause_btn.classList.add('off');
+    }
+    if(MODEL && MODEL.solved && !this.exporting) {
+      UI.enableButtons('player-first player-play player-frames');
+      this.slider.disabled = false;
+    } else {
+      UI.disableButtons('player-first player-play player-frames');
+      this.slider.disabled = true;
+    }
+  }
+  
+  updateDialog() {
+    // Make the slider reflect the current cycle.
+    this.updateButtons();
+    if(!MODEL || !MODEL.solved) {
+      this.slider.max = 0;
+      this.slider.value = 0;
+      if(!this.exporting) this.status.innerHTML = 'Run the simulation first';
+      return;
+    }
+    this.slider.max = MODEL.run_length;
+    this.slider.value = MODEL.t;
+    if(!this.exporting) {
+      this.status.innerHTML =
+          `Cycle ${MODEL.t} of ${MODEL.run_length}`;
+    }
+  }
+  
+  rewind() {
+    if(this.first_btn.classList.contains('disab')) return;
+    UI.showCycle(0);
+  }
+  
+  play() {
+    // Start advancing the simulation cycle at the selected speed.
+    if(this.playing || this.play_btn.classList.contains('disab')) return;
+    // When at the end of the run, play again from the start.
+    if(MODEL.t >= MODEL.run_length) UI.showCycle(0);
+    this.timer = setTimeout(() => PLAYER.nextFrame(), this.interval);
+    this.updateButtons();
+  }
+  
+  pause() {
+    if(this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.updateButtons();
+  }
+  
+  get interval() {
+    // Return the delay (in ms) between frames for the selected number
+    // of cycles per second.
+    return 1000 / Math.max(1, parseFloat(this.speed.value) || 1);
+  }
+  
+  nextFrame() {
+    // Show the next cycle, or stop playing when the run has ended (or
+    // has been reset).
+    this.timer = null;
+    if(!MODEL.solved) {
+      this.updateDialog();
+      return;
+    }
+    if(MODEL.t < MODEL.run_length) {
+      UI.showCycle(MODEL.t + 1);
+    } else if(UI.boxChecked('player-loop')) {
+      UI.showCycle(0);
+    } else {
+      this.updateButtons();
+      return;
+    }
+    this.timer = setTimeout(() => PLAYER.nextFrame(), this.interval);
+    this.updateButtons();
+  }
+  
+  exportFrames() {
+    // Download the diagram for each cycle in the specified range as a
+    // separate SVG file.
+    if(this.frames_btn.classList.contains('disab')) return;
+    const
+        tmax = MODEL.run_length,
+        fc = this.from_cycle.value.trim(),
+        tc = this.to_cycle.value.trim(),
+        from = (fc ? parseInt(fc) : 0),
+        to = (tc ? parseInt(tc) : tmax);
+    if(isNaN(from) || isNaN(to) || from < 0 || to > tmax || from > to ||
+        !/^\d*$/.test(fc + tc)) {
+      UI.warn(`Frame range must be from 0 to ${tmax}`);
+      return;
+    }
+    this.pause();
+    this.exporting = true;
+    this.updateButtons();
+    // NOTE: Frames are numbered with leading zeroes so that they sort in
+    // the correct order.
+    const
+        digits = ('' + tmax).length,
+        old_t = MODEL.t;
+    let t = from;
+    UI.paper.fitToSize();
+    const frame = () => {
+        if(!PLAYER.exporting) return;
+        UI.showCycle(t);
+        FILE_MANAGER.pushOutSVG(UI.paper.opaqueSVG,
+            'frame-' + ('' + t).padStart(digits, '0'));
+        PLAYER.status.innerHTML = `Saved frame ${t - from + 1} of ` +
+            (to - from + 1);
+        t++;
+        if(t <= to) {
+          // NOTE: Allow the browser some time to process each download.
+          setTimeout(frame, 200);
+        } else {
+          PLAYER.exporting = false;
+          UI.showCycle(old_t);
+          UI.notify(pluralS(to - from + 1, 'frame') + ' saved as SVG');
+        }
+      };
+    frame();
+  }
+
+} // END of class Player
@@ -0,0 +1,219 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-run-comparer.js) provides the GUI
+functionality for the FRAMifier run comparer: the draggable dialog that
+shows how the results of the last run differ from those of the run
+before, and the messages of both runs side by side.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS RunComparer
+class RunComparer {
+  constructor() {
+    this.dialog = UI.draggableDialog('compare');
+    UI.resizableDialog('compare', 'RUN_COMPARER');
+    this.close_btn = document.getElementById('compare-close-btn');
+    this.previous = document.getElementById('compare-previous');
+    this.copy_btn = document.getElementById('compare-copy-btn');
+    this.clear_btn = document.getElementById('compare-clear-btn');
+    this.table = document.getElementById('compare-table');
+    this.cycle = document.getElementById('compare-cycle');
+    this.previous_msg = document.getElementById('compare-previous-msg');
+    this.current_msg = document.getElementById('compare-current-msg');
+    this.status = document.getElementById('compare-status');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.copy_btn.addEventListener(
+        'click', () => RUN_COMPARER.copyDifferences());
+    this.clear_btn.addEventListener(
+        'click', () => RUN_COMPARER.clearPreviousRun());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.differences = null;
+    this.updateDialog();
+  }
+  
+  updateButtons() {
+    if(this.differences) {
+      UI.enableButtons('compare-copy');
+    } else {
+      UI.disableButtons('compare-copy');
+    }
+    if(MODEL && MODEL.previous_run) {
+      UI.enableButtons('compare-clear');
+    } else {
+      UI.disableButtons('compare-clear');
+    }
+  }
+  
+  updateDialog() {
+    // Compare the results of the last run with those of the previous run.
+    // NOTE: This is done only once per run; when another cycle is shown,
+    // only the messages are updated (see method `updateCycle`).
+    if(!this.visible || !MODEL) return;
+    this.differences = null;
+    this.table.innerHTML = '';
+    this.previous_msg.value = '';
+    this.current_msg.value = '';
+    this.cycle.innerHTML = '';
+    const pr = (MODEL ? MODEL.previous_run : null);
+    if(!pr) {
+      this.previous.innerHTML = '(no previous run)';
+      this.status.innerHTML = 'Run the model, modify it, and run it again';
+    } else {
+      this.previous.innerHTML = 'Previous run: ' +
+          pr.time_stamp.toLocaleTimeString() +
+          (pr.scenario ? ` (${xmlEncoded(pr.scenario)})` : '');
+      if(!MODEL.solved) {
+        this.status.innerHTML = 'Run the model to compare its results';
+      } else {
+        this.differences = new RunResults().differencesFrom(pr);
+        this.updateTable();
+        this.updateMessages();
+      }
+    }
+    this.updateButtons();
+  }
+  
+  updateTable() {
+    // Show the differences per expression, function and aspect.
+    // NOTE: Clicking on a function or aspect makes the first cycle for
+    // which it differs the current cycle.
+    const
+        d = this.differences,
+        cycles = (cl, ct) => cl.map(
+            (t) => `${t} (${UI.clockTime(ct[t], false)})`).join(', '),
+        pct = MODEL.previous_run.clock_time,
+        cct = MODEL.clock_time,
+        hdr = (name, prev, cur) => {
+            html.push('<tr class="experiment-hdr"><td>', name, '</td><td>',
+                prev, '</td><td>', cur, '</td></tr>');
+          },
+        row = (t, name, prev, cur) => {
+            html.push('<tr class="dataset"',
+                (t >= 0 ? ` onclick="UI.showCycle(${t});"` : ''), '><td>',
+                xmlEncoded(name), '</td><td>', prev, '</td><td>', cur,
+                '</td></tr>');
+          },
+        html = [];
+    if(d.expressions.length) {
+      hdr('Expression', 'Previous', 'Current');
+      for(let i = 0; i < d.expressions.length; i++) {
+        const x = d.expressions[i];
+        row(-1, x.name,
+            '<code>' + xmlEncoded(x.previous || '') + '</code>',
+            '<code>' + xmlEncoded(x.current || '') + '</code>');
+      }
+    }
+    if(d.functions.length) {
+      hdr('Function', 'Activated in cycle', 'Activated in cycle');
+      for(let i = 0; i < d.functions.length; i++) {
+        const f = d.functions[i];
+        row(f.cycle, f.name, cycles(f.previous, pct) || '&ndash;',
+            cycles(f.current, cct) || '&ndash;');
+      }
+    }
+    if(d.aspects.length) {
+      hdr('Aspect (first difference)', 'Previous', 'Current');
+      for(let i = 0; i < d.aspects.length; i++) {
+        const a = d.aspects[i];
+        row(a.cycle, `${a.name} (cycle ${a.cycle})`,
+            VM.sig4Dig(a.previous), VM.sig4Dig(a.current));
+      }
+    }
+    this.table.innerHTML = html.join('');
+    const n = d.functions.length + d.aspects.length;
+    if(!n && d.messages < 0) {
+      this.status.innerHTML = 'Results are identical to the previous run';
+    } else {
+      this.status.innerHTML = pluralS(d.functions.length, 'function') +
+          ' and ' + pluralS(d.aspects.length, 'aspect') + ' differ' +
+          (d.messages < 0 ? '' :
+              '; messages differ from <span class="compare-cycle" ' +
+              `onclick="UI.showCycle(${d.messages});">cycle ` +
+              `${d.messages}</span> onwards`);
+    }
+  }
+  
+  updateCycle() {
+    // Show the messages for the current cycle.
+    if(this.visible && this.differences) this.updateMessages();
+  }
+  
+  updateMessages() {
+    // Show the messages of both runs for the current cycle side by side.
+    const
+        t = MODEL.t,
+        pr = MODEL.previous_run;
+    this.cycle.innerHTML = `Messages for cycle #${t}`;
+    this.previous_msg.value = (t <= pr.last_cycle && pr.messages[t]) ||
+        VM.no_messages;
+    this.current_msg.value = VM.messages[t] || VM.no_messages;
+  }
+  
+  clearPreviousRun() {
+    // Forget the previous run, so that the next run will be compared
+    // with the current one.
+    if(!MODEL.previous_run) return;
+    MODEL.previous_run = null;
+    this.updateDialog();
+  }
+  
+  get differencesAsText() {
+    // Return the differences as tab-separated text.
+    const
+        d = this.differences,
+        lines = ['Previous run\t' + MODEL.previous_run.time_stamp.toString()],
+        cl = (l) => l.join(', ');
+    for(let i = 0; i < d.expressions.length; i++) {
+      const x = d.expressions[i];
+      lines.push([x.name, x.previous || '', x.current || ''].join('\t'));
+    }
+    for(let i = 0; i < d.functions.length; i++) {
+      const f = d.functions[i];
+      lines.push([f.name, cl(f.previous), cl(f.current)].join('\t'));
+    }
+    for(let i = 0; i < d.aspects.length; i++) {
+      const a = d.aspects[i];
+      lines.push([`${a.name} (cycle ${a.cycle})`,
+          VM.sig4Dig(a.previous), VM.sig4Dig(a.current)].join('\t'));
+    }
+    if(d.messages >= 0) {
+      lines.push(`Messages differ from cycle\t${d.messages}`);
+    }
+    return lines.join('\n');
+  }
+  
+  copyDifferences() {
+    if(this.differences) UI.copyStringToClipboard(this.differencesAsText);
+  }
+
+} // END of class RunComparer
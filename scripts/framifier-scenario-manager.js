@@ -0,0 +1,373 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-scenario-manager.js) provides the GUI
+functionality for the FRAMifier scenario manager: the draggable dialog
+for defining scenarios that override aspect expressions and incoming
+function expressions, selecting the active scenario, and comparing the
+outcomes of the base model and all scenarios.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ScenarioManager
+class ScenarioManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('scenario');
+    UI.resizableDialog('scenario', 'SCENARIO_MANAGER');
+    this.close_btn = document.getElementById('scenario-close-btn');
+    this.active = document.getElementById('scenario-active');
+    this.add_btn = document.getElementById('scenario-add-btn');
+    this.rename_btn = document.getElementById('scenario-rename-btn');
+    this.delete_btn = document.getElementById('scenario-delete-btn');
+    this.compare_btn = document.getElementById('scenario-compare-btn');
+    this.copy_btn = document.getElementById('scenario-copy-btn');
+    this.override_btn = document.getElementById('scenario-override-btn');
+    this.overrides_table = document.getElementById('scenario-overrides');
+    this.table = document.getElementById('scenario-table');
+    this.status = document.getElementById('scenario-status');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.active.addEventListener(
+        'change', () => SCENARIO_MANAGER.selectScenario());
+    this.add_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.showNameModal(false));
+    this.rename_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.showNameModal(true));
+    this.delete_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.deleteScenario());
+    this.compare_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.compareScenarios());
+    this.copy_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.copyComparison());
+    this.override_btn.addEventListener(
+        'click', () => SCENARIO_MANAGER.showOverrideModal(-1));
+    // Modal for adding and renaming scenarios.
+    this.name_modal = new ModalDialog('scenario-name');
+    this.name_modal.ok.addEventListener(
+        'click', () => SCENARIO_MANAGER.renameScenario());
+    this.name_modal.cancel.addEventListener(
+        'click', () => SCENARIO_MANAGER.name_modal.hide());
+    // Modal for adding and modifying expression overrides.
+    this.override_modal = new ModalDialog('override');
+    this.override_modal.ok.addEventListener(
+        'click', () => SCENARIO_MANAGER.modifyOverride());
+    this.override_modal.cancel.addEventListener(
+        'click', () => SCENARIO_MANAGER.override_modal.hide());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    // The comparison is a list of {name, run} items (see the model
+    // method compareScenarios).
+    this.comparison = [];
+    this.updateDialog();
+  }
+  
+  updateButtons() {
+    // Scenarios can be renamed, deleted and modified only when active.
+    const sc = (MODEL ? MODEL.active_scenario : null);
+    if(sc) {
+      UI.enableButtons('scenario-rename scenario-delete scenario-override');
+    } else {
+      UI.disableButtons('scenario-rename scenario-delete scenario-override');
+    }
+    if(MODEL && MODEL.scenarios.length) {
+      UI.enableButtons('scenario-compare');
+    } else {
+      UI.disableButtons('scenario-compare');
+    }
+    if(this.comparison.length) {
+      UI.enableButtons('scenario-copy');
+    } else {
+      UI.disableButtons('scenario-copy');
+    }
+  }
+  
+  updateDialog() {
+    // Display the scenario selector, the overrides of the active scenario,
+    // and the comparison table.
+    this.updateButtons();
+    this.overrides_table.innerHTML = '';
+    this.table.innerHTML = '';
+    this.status.innerHTML = '';
+    if(!MODEL) return;
+    const
+        sc = MODEL.active_scenario,
+        ol = [`<option value="">${UI.BASE_SCENARIO}</option>`];
+    for(let i = 0; i < MODEL.scenarios.length; i++) {
+      const n = xmlEncoded(MODEL.scenarios[i].name);
+      ol.push(`<option value="${n}">${n}</option>`);
+    }
+    this.active.innerHTML = ol.join('');
+    this.active.value = (sc ? sc.name : '');
+    this.updateOverrides();
+    this.updateComparison();
+  }
+  
+  updateOverrides() {
+    // Display the expressions that the active scenario overrides.
+    const
+        sc = MODEL.active_scenario,
+        html = [];
+    if(!sc) {
+      html.push('<tr><td style="color: gray">',
+          '(the base model has no overrides)</td></tr>');
+    } else {
+      sc.purge();
+      for(let i = 0; i < sc.overrides.length; i++) {
+        const o = sc.overrides[i];
+        html.push('<tr class="dataset"><td class="scenario-variable" ',
+            `onclick="SCENARIO_MANAGER.showOverrideModal(${i});">`,
+            xmlEncoded(sc.overrideName(o)), '</td><td ',
+            `onclick="SCENARIO_MANAGER.showOverrideModal(${i});">`,
+            '<code>', xmlEncoded(sc.text(o)), '</code></td><td ',
+            'style="color: gray"><code>', xmlEncoded(o.base), '</code></td>',
+            '<td><img class="sbtn enab" src="images/delete.png" ',
+            `onclick="SCENARIO_MANAGER.deleteOverride(${i});" `,
+            'title="Use the base model expression"></td></tr>');
+      }
+      if(!html.length) {
+        html.push('<tr><td style="color: gray">',
+            '(no expressions overridden)</td></tr>');
+      }
+    }
+    this.overrides_table.innerHTML = html.join('');
+  }
+  
+  updateComparison() {
+    // Display the outcomes of the base model and the scenarios side by
+    // side, highlighting the outcomes that differ from the base model.
+    const cl = this.comparison;
+    if(!cl.length) {
+      this.status.innerHTML = (MODEL.scenarios.length ?
+          'Click the Run button to compare the scenarios' :
+          'Add a scenario to override expressions of the base model');
+      return;
+    }
+    const
+        stat = MODEL.experiment.statistic,
+        r0 = cl[0].run,
+        fnames = Object.keys(r0.activations).sort(ciCompare),
+        anames = Object.keys(r0.outcomes).sort(ciCompare),
+        num = (v) => (v >= VM.EXCEPTION ? '&ndash;' : VM.sig4Dig(v)),
+        time = (v) => (v < 0 ? '&ndash;' : UI.clockTime(v)),
+        row = (name, values, fmt) => {
+            html.push('<tr class="dataset"><td>', name, '</td>');
+            for(let i = 0; i < values.length; i++) {
+              const diff = i > 0 && values[i] !== values[0];
+              html.push('<td', (diff ? ' class="scenario-diff"' : ''), '>',
+                  fmt(values[i]), '</td>');
+            }
+            html.push('</tr>');
+          },
+        html = ['<tr class="experiment-hdr"><td>Function</td>'];
+    for(let i = 0; i < cl.length; i++) {
+      html.push('<td>', xmlEncoded(cl[i].name), '</td>');
+    }
+    html.push('</tr>');
+    for(let i = 0; i < fnames.length; i++) {
+      const fn = fnames[i];
+      row(xmlEncoded(fn), cl.map((c) => c.run.activations[fn]), (v) => v);
+      row('&nbsp;&nbsp;first activation',
+          cl.map((c) => c.run.first_activation[fn]), time);
+    }
+    html.push('<tr class="experiment-hdr"><td colspan="', cl.length + 1,
+        `">Aspect (${stat})</td></tr>`);
+    for(let i = 0; i < anames.length; i++) {
+      const an = anames[i];
+      row(xmlEncoded(an), cl.map((c) => c.run.outcomes[an][stat]), num);
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML =
+        'Outcomes that differ from the base model are highlighted';
+  }
+  
+  selectScenario() {
+    // Activate the selected scenario, which invalidates the results.
+    MODEL.activateScenario(MODEL.scenarioByName(this.active.value));
+    UI.resetModel();
+    this.updateDialog();
+  }
+  
+  showNameModal(rename) {
+    // Show the modal for adding a new scenario, or for renaming the
+    // active scenario.
+    const
+        md = this.name_modal,
+        sc = MODEL.active_scenario;
+    if(rename && !sc) return;
+    this.renaming = rename;
+    md.element('action').innerText = (rename ? 'Rename' : 'Add');
+    md.element('name').value = (rename ? sc.name : '');
+    md.show('name');
+  }
+  
+  renameScenario() {
+    // Add a new scenario, or rename the active one.
+    const
+        md = this.name_modal,
+        name = md.element('name').value.trim(),
+        sc = MODEL.active_scenario,
+        other = MODEL.scenarioByName(name);
+    if(!name || name === UI.BASE_SCENARIO) {
+      UI.warn('Invalid scenario name');
+      md.element('name').focus();
+      return;
+    }
+    if(other && other !== sc) {
+      UI.warn(`Scenario "${name}" already exists`);
+      md.element('name').focus();
+      return;
+    }
+    if(this.renaming) {
+      sc.name = name;
+    } else {
+      // NOTE: A new scenario becomes active, so that its overrides can
+      // be defined.
+      MODEL.scenarios.push(new Scenario(name));
+      MODEL.activateScenario(MODEL.scenarioByName(name));
+      UI.resetModel();
+    }
+    this.comparison.length = 0;
+    md.hide();
+    this.updateDialog();
+  }
+  
+  deleteScenario() {
+    const sc = MODEL.active_scenario;
+    if(!sc) return;
+    MODEL.activateScenario(null);
+    MODEL.scenarios.splice(MODEL.scenarios.indexOf(sc), 1);
+    UI.notify(`Scenario "${sc.name}" deleted`);
+    this.comparison.length = 0;
+    UI.resetModel();
+    this.updateDialog();
+  }
+  
+  showOverrideModal(index) {
+    // Show the modal for the override at position `index` in the list
+    // of the active scenario, or for a new override if `index` < 0.
+    const
+        md = this.override_modal,
+        sc = MODEL.active_scenario;
+    if(!sc) return;
+    const
+        o = (index >= 0 ? sc.overrides[index] : null),
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        al = Object.values(MODEL.aspects).sort(byName),
+        fl = MODEL.top_activity.leafActivities.sort(byName),
+        ol = [];
+    // Each aspect expression and each incoming function expression can
+    // be overridden, but only once.
+    for(let i = 0; i < al.length; i++) {
+      const oi = sc.indexOf(al[i]);
+      if(oi < 0 || oi === index) {
+        ol.push(`<option value="${al[i].identifier}">`,
+            xmlEncoded(al[i].displayName), '</option>');
+      }
+    }
+    for(let i = 0; i < fl.length; i++) {
+      for(let c of 'CRPIT') {
+        const oi = sc.indexOf(fl[i], c);
+        if(oi < 0 || oi === index) {
+          ol.push(`<option value="${fl[i].identifier}|${c}">`,
+              circledLetter(c), ' ', xmlEncoded(fl[i].displayName),
+              '</option>');
+        }
+      }
+    }
+    md.element('variable').innerHTML = ol.join('');
+    if(o) {
+      md.element('variable').value = o.object.identifier +
+          (o.connector ? '|' + o.connector : '');
+    }
+    md.element('variable').disabled = !!o;
+    md.element('text').value = (o ? sc.text(o) : '');
+    this.edited_override = index;
+    md.show('text');
+  }
+  
+  modifyOverride() {
+    // Add the new override, or update the edited one.
+    const
+        md = this.override_modal,
+        sc = MODEL.active_scenario,
+        v = md.element('variable').value.split('|'),
+        obj = MODEL.nodeBoxByID(v[0]),
+        text = md.element('text').value.trim();
+    if(!sc || !obj) return;
+    // Check the syntax of the expression before accepting it.
+    const xp = new ExpressionParser(text, obj, v[1] || '');
+    if(xp.error) {
+      UI.warn('Invalid expression: ' + xp.error);
+      md.element('text').focus();
+      return;
+    }
+    sc.setOverride(obj, v[1] || '', text);
+    this.comparison.length = 0;
+    md.hide();
+    UI.resetModel();
+    this.updateDialog();
+  }
+  
+  deleteOverride(index) {
+    const sc = MODEL.active_scenario;
+    if(!sc) return;
+    sc.removeOverride(index);
+    this.comparison.length = 0;
+    UI.resetModel();
+    this.updateDialog();
+  }
+  
+  compareScenarios() {
+    // Run the base model and all scenarios, and show their outcomes.
+    if(!MODEL.scenarios.length) return;
+    UI.waitingCursor();
+    this.status.innerHTML = 'Running ' +
+        pluralS(MODEL.scenarios.length + 1, 'model variant') + '...';
+    // NOTE: Allow the browser to display the status before running.
+    setTimeout(() => {
+        try {
+          SCENARIO_MANAGER.comparison = MODEL.compareScenarios();
+        } catch(err) {
+          UI.alert('Scenario comparison failed: ' + err);
+          SCENARIO_MANAGER.comparison = [];
+        }
+        // NOTE: The diagram does not show the results of the last run,
+        // as this may not be the active scenario.
+        UI.resetModel();
+        UI.normalCursor();
+        SCENARIO_MANAGER.updateDialog();
+      }, 10);
+  }
+  
+  copyComparison() {
+    UI.copyStringToClipboard(MODEL.scenarioComparisonAsText(this.comparison));
+  }
+
+} // END of class ScenarioManager
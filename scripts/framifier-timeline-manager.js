@@ -0,0 +1,222 @@
+/*
+FRAMifier is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (framifier-timeline-manager.js) provides the GUI
+functionality for the FRAMifier timeline manager: the draggable dialog
+that shows for a solved model when each function was active ("Gantt
+chart"), and where the simulated clock time jumped ahead.
+*/
+
+/*
+Copyright (c) 2024-2025 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS TimelineManager
+class TimelineManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('timeline');
+    UI.resizableDialog('timeline', 'TIMELINE_MANAGER');
+    this.close_btn = document.getElementById('timeline-close-btn');
+    this.x_axis = document.getElementById('timeline-x-axis');
+    this.copy_btn = document.getElementById('timeline-copy-btn');
+    this.save_btn = document.getElementById('timeline-save-btn');
+    this.container = document.getElementById('timeline-svg-container');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener(
+        'click', (event) => UI.toggleDialog(event));
+    this.copy_btn.addEventListener(
+        'click', () => UI.copyStringToClipboard(TIMELINE_MANAGER.svg));
+    this.save_btn.addEventListener('click',
+        () => FILE_MANAGER.pushOutSVG(TIMELINE_MANAGER.svg, 'timeline'));
+    this.x_axis.addEventListener(
+        'change', () => TIMELINE_MANAGER.updateDialog());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.svg = '';
+  }
+  
+  updateDialog() {
+    // Redraw the timeline to fit the dialog.
+    if(!this.visible || !MODEL) return;
+    // NOTE: Allow for the width of a vertical scroll bar.
+    const w = Math.max(300, this.container.clientWidth - 16);
+    this.svg = this.timelineSVG(w);
+    this.container.innerHTML = this.svg;
+  }
+  
+  get lanes() {
+    // Return a list of actor groups {actor, functions} with the leaf
+    // functions of each actor in alphabetical order.
+    const
+        byName = (a, b) => ciCompare(a.displayName, b.displayName),
+        groups = {},
+        acts = MODEL.top_activity.leafActivities.sort(byName);
+    for(let i = 0; i < acts.length; i++) {
+      const an = acts[i].actor.name;
+      if(!groups[an]) groups[an] = {actor: acts[i].actor, functions: []};
+      groups[an].functions.push(acts[i]);
+    }
+    // NOTE: Functions without actor are listed last.
+    return Object.values(groups).sort((g1, g2) =>
+        (g1.actor.name === UI.NO_ACTOR ? 1 :
+            (g2.actor.name === UI.NO_ACTOR ? -1 :
+                ciCompare(g1.actor.name, g2.actor.name))));
+  }
+  
+  activePeriods(a) {
+    // Return the list of [first, last + 1] cycle pairs during which
+    // function `a` was active (O = 1).
+    const
+        o = a.state.O,
+        pl = [];
+    let start = -1;
+    for(let t = 0; t <= MODEL.run_length; t++) {
+      if(o[t] === 1) {
+        if(start < 0) start = t;
+      } else if(start >= 0) {
+        pl.push([start, t]);
+        start = -1;
+      }
+    }
+    if(start >= 0) pl.push([start, MODEL.run_length + 1]);
+    return pl;
+  }
+  
+  timelineSVG(w) {
+    // Return the timeline as an SVG string of width `w`.
+    // NOTE: The height is known only when all lanes have been drawn, so
+    // the SVG header is prefixed to the drawing afterwards.
+    const
+        font = UI.paper.font_name,
+        header = (h) => [`<svg xmlns="${UI.paper.svg_url}" version="1.1" `,
+            `width="${w}" height="${h}" font-family="${font}" `,
+            'font-size="9">',
+            `<rect x="0" y="0" width="${w}" height="${h}" fill="white"/>`
+            ].join(''),
+        svg = [];
+    if(!MODEL.solved) {
+      svg.push(`<text x="${w / 2}" y="30" text-anchor="middle" `,
+          'fill="gray">Run the simulation to obtain a timeline</text></svg>');
+      return header(60) + svg.join('');
+    }
+    const
+        by_time = this.x_axis.value === 'time',
+        tmax = MODEL.run_length,
+        ct = MODEL.clock_time,
+        // NOTE: On the cycle axis, cycle t spans from t to t+1, while on
+        // the clock time axis, it lasts until the clock time of cycle t+1.
+        xv = (t) => (by_time ? ct[Math.min(t, tmax)] : t),
+        xmax = (by_time ? ct[tmax] : tmax + 1) || 1,
+        groups = this.lanes;
+    let lw = 60;
+    for(let i = 0; i < groups.length; i++) {
+      const fl = groups[i].functions;
+      for(let j = 0; j < fl.length; j++) {
+        lw = Math.max(lw, UI.textSize(fl[j].displayName, 9).width + 16);
+      }
+    }
+    const
+        ml = Math.min(lw, w / 3),
+        mr = 12,
+        mt = 18,
+        lh = 16,
+        gh = 14,
+        pw = Math.max(10, w - ml - mr),
+        px = (x) => ml + x / xmax * pw;
+    // First draw the lanes, grouped by actor.
+    let y = mt;
+    for(let i = 0; i < groups.length; i++) {
+      const g = groups[i];
+      svg.push(`<rect x="2" y="${y + 2}" width="${w - 4}" `,
+          `height="${gh - 2}" fill="${g.actor.color}" stroke="#c0c0c0" `,
+          'stroke-width="0.5"/>',
+          `<text x="6" y="${y + gh / 2 + 1}" dominant-baseline="middle" `,
+          `font-weight="bold">${xmlEncoded(g.actor.name)}</text>`);
+      y += gh;
+      for(let j = 0; j < g.functions.length; j++) {
+        const
+            a = g.functions[j],
+            pl = this.activePeriods(a);
+        svg.push(`<line x1="${ml}" y1="${y + lh}" x2="${ml + pw}" `,
+            `y2="${y + lh}" stroke="#f0f0f0"/>`,
+            `<text x="${ml - 6}" y="${y + lh / 2}" text-anchor="end" `,
+            `dominant-baseline="middle">${xmlEncoded(a.displayName)}</text>`);
+        for(let k = 0; k < pl.length; k++) {
+          const
+              t1 = pl[k][0],
+              t2 = pl[k][1],
+              x1 = px(xv(t1)),
+              // NOTE: Activations that take no clock time are shown as
+              // thin bars.
+              bw = Math.max(2, px(xv(t2)) - x1),
+              tip = `${a.displayName}: active from ` +
+                  `${UI.clockTime(ct[t1])} (cycle ${t1}) until ` +
+                  `${UI.clockTime(ct[Math.min(t2, tmax)])} (cycle ${t2 - 1})`;
+          svg.push(`<rect x="${x1.toFixed(1)}" y="${y + 3}" `,
+              `width="${bw.toFixed(1)}" height="${lh - 6}" rx="2" `,
+              `fill="${UI.color.active}"><title>${xmlEncoded(tip)}</title>`,
+              '</rect>');
+        }
+        y += lh;
+      }
+    }
+    const yb = y;
+    // Then mark where clock time jumped ahead to the next event setpoint.
+    for(let t = 1; t <= tmax; t++) {
+      if(ct[t] > ct[t - 1]) {
+        const x = px(xv(t)).toFixed(1);
+        svg.push(`<line x1="${x}" y1="${mt - 4}" x2="${x}" y2="${yb}" `,
+            'stroke="#f07000" stroke-dasharray="4,2"><title>',
+            `Cycle ${t}: clock time advanced from ${UI.clockTime(ct[t - 1])}`,
+            ` to ${UI.clockTime(ct[t])}</title></line>`,
+            `<text x="${x}" y="${mt - 7}" text-anchor="middle" `,
+            `fill="#f07000">${by_time ? '#' + t : UI.clockTime(ct[t])}`,
+            '</text>');
+      }
+    }
+    // Mark the cycle that is shown in the diagram.
+    const xt = px(xv(MODEL.t)).toFixed(1);
+    svg.push(`<line x1="${xt}" y1="${mt}" x2="${xt}" y2="${yb}" `,
+        'stroke="#a0a0a0" stroke-dasharray="3,3"/>');
+    // Finally draw the horizontal axis.
+    const xstep = (by_time ? niceStep(xmax, pw / 60) :
+        Math.max(1, Math.round(niceStep(xmax, pw / 40))));
+    svg.push(`<line x1="${ml}" y1="${yb}" x2="${ml + pw}" y2="${yb}" `,
+        'stroke="gray"/>');
+    for(let x = 0; x <= xmax + 1e-9; x += xstep) {
+      const xp = px(x).toFixed(1);
+      svg.push(`<line x1="${xp}" y1="${yb}" x2="${xp}" y2="${yb + 3}" `,
+          'stroke="gray"/>',
+          `<text x="${xp}" y="${yb + 12}" text-anchor="middle">`,
+          (by_time ? UI.clockTime(x) : x), '</text>');
+    }
+    const h = yb + 32;
+    svg.push(`<text x="${ml + pw / 2}" y="${h - 6}" text-anchor="middle">`,
+        (by_time ? 'Clock time' : 'Cycle'), '</text></svg>');
+    return header(h) + svg.join('');
+  }
+
+} // END of class TimelineManager
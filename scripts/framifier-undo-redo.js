@@ -161,7 +161,10 @@ class UndoStack {
 
     // Any action except "move" or "add note" is likely to invalidate the
     // solver result.
-    if(action !== 'move' && !(args instanceof Note)) VM.reset();
+    if(action !== 'move' && !(args instanceof Note)) {
+      VM.reset();
+      UI.validateModel();
+    }
 
     // If this edit is new (i.e., not a redo) then remove all "redoable" edits
     if(!tentative) this.redoables.length = 0;
@@ -188,6 +191,10 @@ class UndoStack {
     } else if(action === 'replace') {
       // Replace passes its undo information as an object
       ue.properties = args;
+    } else if(action === 'merge') {
+      // Merge passes the XML of the model prior to the merge.
+      // NOTE: The XML that delete methods add to the edit is not used.
+      ue.properties = [args];
     }
 
     // NOTE: for a DELETE action, no properties are stored; the XML needed to
@@ -245,6 +252,25 @@ class UndoStack {
     }
   }
   
+  doMerge(ue) {
+    // This method implements shared code for UNDO and REDO of "merge"
+    // actions: the model is restored from the XML stored in the edit,
+    // while the XML of the present model is stored for the reverse action.
+    const xml = MODEL.asXML;
+    MODEL.initFromXML(parseXML(ue.properties[0]));
+    ue.properties[0] = xml;
+    // NOTE: All entities have been replaced by new instances, so other
+    // edits must refer to the new focal activities.
+    const el = this.undoables.concat(this.redoables, [ue]);
+    for(let i = 0; i < el.length; i++) {
+      el[i].activity = MODEL.objectByID(el[i].activity.identifier) ||
+          MODEL.top_activity;
+    }
+    MODEL.focal_activity = ue.activity;
+    VM.reset();
+    UI.validateModel();
+  }
+  
   restoreFromXML(xml) {
     // Restore deleted objects from XML and add them to the UndoEdit's
     // selection (so that they can be RE-deleted).
@@ -375,6 +401,9 @@ class UndoStack {
         // Clear the XML (not useful for REDO delete)
         ue.xml = '';
         this.redoables.push(ue);
+      } else if(ue.action === 'merge') {
+        this.doMerge(ue);
+        this.redoables.push(ue);
       } else if(ue.action === 'drop' || ue.action === 'lift') {
         // Restore the selection as it was at the time of the action
         MODEL.selectList(ue.getSelection);
@@ -445,6 +474,9 @@ class UndoStack {
           // ... and then perform a delete action.
           MODEL.deleteSelection();
         }
+      } else if(re.action === 'merge') {
+        this.doMerge(re);
+        this.undoables.push(re);
       } else if(re.action === 'drop' || re.action === 'lift') {
         const a = MODEL.objectByID(re.object_id);
         if(a instanceof Activity) MODEL.dropSelectionIntoActivity(a);
@@ -79,6 +79,32 @@ function hoursToString(hrs, secs=true) {
   return `${ds}${hs}:${ms}${ss}`;
 }
 
+function dateTimeToMsec(str) {
+  // Return date-time string `str` (YYYY-MM-DD with optional hh:mm:ss)
+  // as milliseconds, or NaN if `str` is not a valid date-time.
+  // NOTE: The date-time is interpreted as UTC so that clock times do
+  // not shift with daylight saving time.
+  const m = str.trim().match(
+      /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if(!m) return NaN;
+  const
+      n = m.slice(1).map((s) => safeStrToInt(s)),
+      d = new Date(Date.UTC(n[0], n[1] - 1, n[2], n[3], n[4], n[5]));
+  // Reject dates like February 30 that Date would silently roll over.
+  if(d.getUTCMonth() !== n[1] - 1 || d.getUTCDate() !== n[2] ||
+      n[3] > 23 || n[4] > 59 || n[5] > 59) return NaN;
+  return d.getTime();
+}
+
+function hoursToDateTime(msec, hrs, secs=true) {
+  // Return the date-time `hrs` hours after `msec` milliseconds as
+  // YYYY-MM-DD hh:mm:ss, where :ss is omitted when `secs` is FALSE.
+  // NOTE: Add half a second to prevent rounding down almost full seconds.
+  const dt = new Date(msec + Math.round(hrs * 3600000) + 500)
+      .toISOString().replace('T', ' ');
+  return dt.substring(0, secs ? 19 : 16);
+}
+
 function dateToString(d) {
   // Return date-time `d` in UTC format, accounting for time zone.
   const offset = d.getTimezoneOffset();
@@ -153,6 +179,16 @@ function uniformDecimals(data) {
   }
 }
 
+function niceStep(range, n) {
+  // Return a "round" step size (1, 2 or 5 times a power of 10) that
+  // divides `range` in approximately `n` parts, e.g., for chart axes.
+  const
+      raw = range / Math.max(1, n),
+      p = Math.pow(10, Math.floor(Math.log10(raw))),
+      f = raw / p;
+  return (f < 1.5 ? 1 : (f < 3.5 ? 2 : (f < 7.5 ? 5 : 10))) * p;
+}
+
 function circledLetter(l) {
   // Return Unicode character for circled connector (aspect) letter `l`.
   const i = 'CORPIT'.indexOf(l);
@@ -290,18 +326,40 @@ function patternList(str) {
   return or_list;
 }
 
+function patternRegex(pm, prefix) {
+  // Return the regular expression for sub-pattern `pm` in which # matches
+  // a number (or a ?? wildcard) and * any sequence of characters.
+  // NOTE: When `pm` starts with = (exact match) or with `prefix` (match
+  // with first part), this character is removed and the expression is
+  // anchored accordingly.
+  let start = '',
+      end = '';
+  if(pm.startsWith('=')) {
+    pm = pm.substring(1);
+    start = '^';
+    end = '$';
+  } else if(pm.startsWith(prefix)) {
+    pm = pm.substring(1);
+    start = '^';
+  }
+  const res = pm.split('#')
+      .map((s) => escapeRegex(s).replace(/\\\*/g, '.*'))
+      .join('(\\d+|\\?\\?)');
+  return new RegExp(start + res + end);
+}
+
 function patternMatch(str, patterns) {
   // Returns TRUE when `str` matches the &|^-pattern.
   // NOTE: If a pattern starts with equals sign = then `str` must
   // equal the rest of the pattern to match; if it starts with a dot
   // . then `str` must start with the rest of the pattern to match.
+  // The wildcard # matches a number, and * any sequence of characters.
   for(let i = 0; i < patterns.length; i++) {
     const p = patterns[i];
     // NOTE: `p` is an OR sub-pattern that tests for a set of "plus"
     // sub-sub-patterns (all of which should match) and a set of "min"
     // sub-sub-patters (all should NOT match)
     let pm,
-        re,
         match = true;
     for(let j = 0; match && j < p.plus.length; j++) {
       pm = p.plus[j];
@@ -312,23 +370,9 @@ function patternMatch(str, patterns) {
       } else {
         match = (str.indexOf(pm) >= 0);
       }
-      // If no match, check whether pattern contains wildcards 
-      if(!match && pm.indexOf('#') >= 0) {
-        // If so, rematch using regular expression that tests for a
-        // number or a ?? wildcard
-        let res = pm.split('#');
-        for(let i = 0; i < res.length; i++) {
-          res[i] = escapeRegex(res[i]);
-        }
-        res = res.join('(\\d+|\\?\\?)');
-        if(pm.startsWith('=')) {
-          res = '^' + res + '$';
-        } else if(pm.startsWith('.')) {
-          res = '^' + res;
-        }
-        re = new RegExp(res, 'g');
-        match = re.test(str);
-      }
+      // If no match, check whether pattern contains wildcards, and if
+      // so, rematch using a regular expression.
+      if(!match && /[#*]/.test(pm)) match = patternRegex(pm, '.').test(str);
     }
     // Any "min" match indicates NO match for this sub-pattern,
     for(let j = 0; match && j < p.min.length; j++) {
@@ -340,22 +384,9 @@ function patternMatch(str, patterns) {
       } else {
         match = (str.indexOf(pm) < 0);
       }
-      // If still matching, check whether pattern contains wildcards 
-      if(match && pm.indexOf('#') >= 0) {
-        // If so, now "negatively" rematch using regular expressions
-        let res = pm.split('#');
-        for(let i = 0; i < res.length; i++) {
-          res[i] = escapeRegex(res[i]);
-        }
-        res = res.join('(\\d+|\\?\\?)');
-        if(pm.startsWith('=')) {
-          res = '^' + res + '$';
-        } else if(pm.startsWith('~')) {
-          res = '^' + res;
-        }
-        re = new RegExp(res, 'g');
-        match = !re.test(str);
-      }
+      // If still matching, check whether pattern contains wildcards, and
+      // if so, now "negatively" rematch using a regular expression.
+      if(match && /[#*]/.test(pm)) match = !patternRegex(pm, '~').test(str);
     }
     // Iterating through OR list, so any match indicates TRUE
     if(match) return true;
@@ -724,6 +755,36 @@ function nodeContent(node) {
   return '';
 }
 
+function nodeAttributes(node) {
+  // Returns the attributes of XML element `node` as an object
+  const
+      obj = {},
+      al = node.attributes;
+  if(al) {
+    for(let i = 0; i < al.length; i++) obj[al[i].name] = al[i].value;
+  }
+  return obj;
+}
+
+function nodeAsXML(node) {
+  // Returns XML element `node` (including its attributes and contents)
+  // as XML string
+  if(node.nodeType === 3) return xmlEncoded(node.nodeValue);
+  if(node.nodeType !== 1) return '';
+  const
+      al = nodeAttributes(node),
+      xml = ['<', node.nodeName];
+  for(let k in al) if(al.hasOwnProperty(k)) {
+    xml.push(' ', k, '="', xmlEncoded(al[k]), '"');
+  }
+  xml.push('>');
+  for(let i = 0; i < node.childNodes.length; i++) {
+    xml.push(nodeAsXML(node.childNodes[i]));
+  }
+  xml.push('</', node.nodeName, '>');
+  return xml.join('');
+}
+
 function nodeParameterValue(node, param) {
   // Returns the value of parameter `param` as string if `node` has
   // this parameter, otherwise the empty string
@@ -53,6 +53,9 @@ class Expression {
     this.is_static = true;
     // Likewise check whether it uses time operators or symbols.
     this.relates_to_time = false;
+    // Aspects referenced by qualified names (like [::aspect name]) that
+    // are not in scope of the expression.
+    this.hidden_references = [];
     // NOTE: VM expects result to be an array, even when expression is static.
     this.vector = [VM.NOT_COMPUTED];
     // Simulation clock time set points.
@@ -83,6 +86,7 @@ class Expression {
     this.text = parser.expr;
     this.code = parser.code;
     this.is_static = parser.is_static;
+    this.hidden_references = parser.hidden_references;
     this.reset();
   }
 
@@ -128,6 +132,7 @@ class Expression {
     } else {
       this.compile_issue = xp.error;
       this.is_static = true;
+      this.hidden_references = [];
       this.vector.length = 0;
       this.vector[0] = VM.INVALID;
       // Report error on-screen to modeler.
@@ -137,10 +142,20 @@ class Expression {
     this.compiling = false;
   }
 
+  get savedText() {
+    // Return the text to be saved for this expression.
+    // NOTE: When the active scenario overrides this expression, the text
+    // of the base model is saved.
+    if(MODEL.active_scenario) {
+      const bt = MODEL.active_scenario.baseText(this);
+      if(bt !== null) return bt;
+    }
+    return this.text;
+  }
+
   get asXML() {
     // Return XML-encoded expression. 
-    let text = this.text;
-    return xmlEncoded(text);
+    return xmlEncoded(this.savedText);
   }
   
   get defined() {
@@ -148,6 +163,50 @@ class Expression {
     return this.text !== '';
   }
   
+  get referencedAspects() {
+    // Return the list of aspects that are referenced by the variables in
+    // this expression, including those matching a statistic pattern.
+    // NOTE: This only inspects the expression text (and macro texts), so
+    // aspects that are out of scope are also listed.
+    const
+        ra = [],
+        al = Object.values(MODEL.aspects),
+        // Variables in the text of called macros are also referenced.
+        tl = [this.text].concat(
+            MODEL.calledMacros(this.text).map((m) => m.text)),
+        vl = tl.join(' ').match(/\[[^\[\]]*\]/g) || [];
+    for(let i = 0; i < vl.length; i++) {
+      // Strip the brackets and the offset (if any).
+      let name = vl[i].slice(1, -1).split('@');
+      if(name.length > 1) name.pop();
+      name = name.join('@').replace(/\s+/g, ' ').trim();
+      const pat = name.split('$');
+      if(pat.length > 1 &&
+          VM.statistic_operators.indexOf(pat[0].toUpperCase()) >= 0) {
+        let ps = pat.slice(1).join('$');
+        if(/^[AFLS]+\?/i.test(ps)) {
+          // Only the S prefix selects aspects.
+          if(!/^[AFL]*S/i.test(ps)) continue;
+          ps = ps.split('?').slice(1).join('?');
+        }
+        if(ps.startsWith('::')) ps = ps.substring(2);
+        const pl = patternList(ps);
+        for(let j = 0; j < al.length; j++) {
+          if(patternMatch(al[j].name, pl)) addDistinct(al[j], ra);
+        }
+      } else if(name) {
+        const
+            q = MODEL.qualifiedAspects(name),
+            id = UI.nameToID(q ? q.name : name),
+            ql = (q ? q.aspects : al);
+        for(let j = 0; j < ql.length; j++) {
+          if(ql[j].identifier === id) addDistinct(ql[j], ra);
+        }
+      }
+    }
+    return ra;
+  }
+  
   get compiled() {
     // Returns TRUE if there is code for this expression.
     // NOTE: The expression parser sets `code` to NULL when compiling an
@@ -428,7 +487,7 @@ class Expression {
 // an array of VM instructions.
 
 class ExpressionParser {
-  constructor(text, owner=null, connector='') {
+  constructor(text, owner=null, connector='', macro_call=null) {
     // Setting TRACE to TRUE will log parsing information to the console.
     this.TRACE = false;
     // `owner` is the aspect for which the expression is parsed, or the
@@ -439,6 +498,14 @@ class ExpressionParser {
     this.connector = connector;
     // `text` is the expression string to be parsed.
     this.expr = text;
+    // Aspects that are referenced by qualified names, but are not in
+    // scope of the owner.
+    this.hidden_references = [];
+    // When `text` is the text of a macro or a macro argument, `macro_call`
+    // specifies the macros that are being expanded (to detect cyclic
+    // calls) and the VM code for the arguments of the innermost macro.
+    this.macro_stack = (macro_call ? macro_call.stack : []);
+    this.macro_args = (macro_call ? macro_call.args : {});
     // Record whether this is a Time aspect expression.
     // For activity expressions, verify that the parsed text is identical
     // to the text of the incoming expression for Time for the owner.
@@ -448,7 +515,8 @@ class ExpressionParser {
     this.time_aspect_expression =
         (owner instanceof Aspect && owner.isTimeAspect) ||
         (owner instanceof Activity && (connector === 'T' ||
-             owner.incoming_expressions.T.text === text));
+             owner.incoming_expressions.T.text === text)) ||
+        (macro_call !== null && macro_call.time);
     // Immediately compile; this may generate warnings.
     this.compile();
   }
@@ -494,6 +562,8 @@ class ExpressionParser {
         this.error = 'Outputs must be specified as [aspect name]';
       } else if(obj instanceof Activity) {
         this.error = 'Expressions for \u24CD cannot refer to any \u24CE';
+      } else if(obj instanceof Parameter) {
+        this.error = 'Parameters cannot refer to connectors';
       } else {
         // If no expression defined, return a dummy expression.
         return obj.parent.incoming_expressions[con] || new Expression(obj, '');
@@ -526,7 +596,8 @@ class ExpressionParser {
         `TRACE: Parsing variable "${name}" in expression for`,
         this.ownerName, ' -->  ', this.expr, this);
 
-    // Only aspects in scope can be used.
+    // Only aspects in scope can be used, unless the variable name is
+    // qualified.
     let aspects = [];
     if(this.owner instanceof Aspect) {
       const
@@ -538,9 +609,13 @@ class ExpressionParser {
           aspects.push(ais[i]);
         }
       }
+    } else if(this.owner instanceof Parameter) {
+      // Parameters can refer only to other parameters.
+      aspects = [];
     } else {
       aspects = this.owner.relatedAspects(this.connector);
     }
+    const in_scope = aspects;
     
     // Initialize possible components.
     let obj = null,
@@ -603,23 +678,64 @@ class ExpressionParser {
       const stat = pat.shift().toUpperCase();
       // Reassemble pattern string, which may itself contain $.
       pat = pat.join('$');
-      // By default, consider all entity types.
-      let et = VM.entity_letters,
+      // By default, consider only aspects.
+      let et = 'S',
           patstr = pat;
       // Selection may be limited to specific entity types by prefix "...?"
       // where ... is one or more entity letters (A for actor, etc.).
       if(/^[AFLS]+\?/i.test(pat)) {
         pat = pat.split('?');
         et = pat[0].toUpperCase();
-        pat = pat.slice(1).join('=');
+        pat = pat.slice(1).join('?');
+        patstr = pat;
+      }
+      if(et.indexOf('L') >= 0) {
+        this.error = 'Couplings have no values to compute statistics for';
+        return false;
+      }
+      // Pattern [stat$::pattern] matches all aspects in the model.
+      // NOTE: Patterns cannot be qualified by a function name, as | is
+      // the OR operator in patterns.
+      if(pat.startsWith('::')) {
+        pat = pat.substring(2).trim();
+        aspects = Object.values(MODEL.aspects);
       }
       // Get the name pattern.
       pat = patternList(pat);
       // Get list of all matching aspects within scope.
       const list = [];
-      for(let i = 0; i < aspects.length; i++) {
-        const a = aspects[i];
-        if(patternMatch(a.name, pat)) list.push(a);
+      if(et.indexOf('S') >= 0) {
+        for(let i = 0; i < aspects.length; i++) {
+          const a = aspects[i];
+          if(patternMatch(a.name, pat)) list.push(a);
+        }
+        for(let i = 0; i < list.length; i++) {
+          if(in_scope.indexOf(list[i]) < 0) {
+            addDistinct(list[i], this.hidden_references);
+          }
+        }
+      }
+      // Functions match by their own name (F) or by the name of their
+      // agent (A). The statistic then pertains to their state, i.e.,
+      // 1 when active and 0 when not.
+      // NOTE: Functions without agent belong to no agent group.
+      const
+          fm = et.indexOf('F') >= 0,
+          am = et.indexOf('A') >= 0;
+      if(fm || am) {
+        const la = MODEL.top_activity.leafActivities;
+        for(let i = 0; i < la.length; i++) {
+          const a = la[i];
+          if((fm && patternMatch(a.name, pat)) ||
+              (am && a.hasActor && patternMatch(a.actor.name, pat))) {
+            list.push(a);
+          }
+        }
+        // Function states change from cycle to cycle.
+        if(list.length) {
+          this.is_static = false;
+          this.log('dynamic because of function states');
+        }
       }
       if(list.length > 0) {
         args = [stat, list, anchor1, offset1, anchor2, offset2];
@@ -628,7 +744,11 @@ class ExpressionParser {
         // sign to use the VMI_push_statistic instruction.
         return args;
       }
-      this.error = `No aspects (within scope) that match pattern "${patstr}"`;
+      const en = [];
+      if(et.indexOf('S') >= 0) en.push('aspects (within scope)');
+      if(fm) en.push('functions');
+      if(am) en.push('agents performing functions');
+      this.error = `No ${en.join(' or ')} that match pattern "${patstr}"`;
       return false;
     }
     
@@ -656,12 +776,29 @@ class ExpressionParser {
       }
       msg = 'Expression can reference only previous values of itself';
     }
+    // Variables like [function name|aspect name] and [::aspect name] can
+    // refer to aspects that are not in scope.
+    const q = (name ? MODEL.qualifiedAspects(name) : null);
+    if(q) {
+      name = q.name;
+      aspects = q.aspects;
+    }
     const id = UI.nameToID(name); 
     for(let i = 0; !obj && i < aspects.length; i++) {
       const a = aspects[i];
       if(a.identifier === id) obj = a;
     }
-    if(obj === null) msg = `Unknown aspect "${name}"`;
+    // Parameters are in scope of all expressions.
+    if(!obj && !q) obj = MODEL.parameterByID(id);
+    if(q && q.function && !q.activity) {
+      msg = `Unknown function "${q.function}"`;
+    } else if(obj === null) {
+      msg = (q && q.function ?
+          `Function "${q.activity.displayName}" has no output "${name}"` :
+          `Unknown aspect "${name}"`);
+    } else if(q && in_scope.indexOf(obj) < 0) {
+      addDistinct(obj, this.hidden_references);
+    }
     if(msg) {
       this.error = msg;
       return false;
@@ -765,27 +902,33 @@ class ExpressionParser {
       } else if('0123456789'.indexOf(l.charAt(0)) >= 0) {
         // If symbol starts with a digit, check whether it is a valid number.
         if(/^\d+((\.|\,)\d+)?(e[\+\-]?\d+)?$/.test(l)) {
-          f = safeStrToFloat(l, l);
+          // A number followed by a time unit, e.g., `30 m` or `2 days`,
+          // denotes a duration in hours.
+          const h = this.timeUnit();
+          f = safeStrToFloat(l, l) * (h || 1);
+          if(h && this.time_aspect_expression) this.relates_to_time = true;
         } else if(/^(\d+d)?(\d+h)?(\d+m)?\d*s?$/.test(l)) {
-          if(this.time_aspect_expression) {
-            // Interpret symbol as time.
-            f = 0;
-            let dt = l.split('d');
-            if(dt.length === 2) f += 24 * parseInt(dt.shift());
-            dt = dt[0].split('h');
-            if(dt.length === 2) f += parseInt(dt.shift());
-            dt = dt[0].split('m');
-            // NOTE: parseInt will ignore a trailing 's'.
-            if(dt.length === 2) f += parseInt(dt[1]) / 3600;
-            // A trailing 's' indicates that last digits denote seconds.
-            f += parseInt(dt[0]) / (l.endsWith('s') ? 3600 : 60);
-            this.relates_to_time = true;
-          } else {
-            f = NaN;
-            this.error = 'Clock times can be used only in Time aspect expressions';
-          }
+          // Interpret symbol as clock time.
+          // NOTE: parseInt will ignore a trailing 's', and returns NaN
+          // for the empty string that follows a trailing unit letter.
+          f = 0;
+          let dt = l.split('d');
+          if(dt.length === 2) f += 24 * parseInt(dt.shift());
+          dt = dt[0].split('h');
+          if(dt.length === 2) f += parseInt(dt.shift());
+          dt = dt[0].split('m');
+          if(dt.length === 2) f += (parseInt(dt[1]) || 0) / 3600;
+          // A trailing 's' indicates that last digits denote seconds.
+          f += (parseInt(dt[0]) || 0) / (l.endsWith('s') ? 3600 : 60);
+          if(this.time_aspect_expression) this.relates_to_time = true;
         } else {
-          f = NaN;
+          // Also accept a number directly followed by a time unit,
+          // e.g., `1.5h` or `2wk`.
+          const
+              m = l.match(/^(\d+((\.|\,)\d+)?)([a-z]+)$/),
+              h = (m ? VM.hoursPerTimeUnit(m[4]) : 0);
+          f = (h ? safeStrToFloat(m[1]) * h : NaN);
+          if(h && this.time_aspect_expression) this.relates_to_time = true;
         }
         // If not, report error
         if(isNaN(f) || !isFinite(f)) {
@@ -794,6 +937,13 @@ class ExpressionParser {
           // If a valid number, keep it within the +/- infinity range
           this.sym = Math.max(VM.MINUS_INFINITY, Math.min(VM.PLUS_INFINITY, f));
         }
+      } else if(this.macro_args.hasOwnProperty(l)) {
+        // Symbol is an argument of the macro that is being compiled.
+        this.sym = {code: this.macro_args[l]};
+      } else if(this.expr.charAt(this.pit + this.los) === '(' &&
+          MODEL.macroByID(UI.nameToID(l))) {
+        // Symbol is a macro call, which extends to the closing parenthesis.
+        this.sym = this.macroCall(MODEL.macroByID(UI.nameToID(l)));
       } else {
         // Symbol does not start with a digit
         const ax = this.incomingExpression(l);
@@ -831,12 +981,115 @@ class ExpressionParser {
         (this.prev_sym === null ||
             !(Array.isArray(this.prev_sym) ||
             typeof this.prev_sym === 'number' ||
+            (this.prev_sym && this.prev_sym.code) ||
             this.prev_sym === ')' ||
             CONSTANT_CODES.indexOf(this.prev_sym) >= 0))) {
       this.sym = VMI_negate;
     }
   }
 
+  macroCall(m) {
+    // Compile the call of macro `m` and return {code: VM instructions},
+    // or FALSE if an error occurs.
+    // NOTE: The call extends from the macro name to the closing parenthesis
+    // of its argument list, so that the complete call is one operand.
+    let pl = this.pit + this.los + 1,
+        start = pl,
+        depth = 0;
+    const al = [];
+    while(pl <= this.eot) {
+      const c = this.expr.charAt(pl);
+      if(c === '[') {
+        // Skip variables, as their names may contain parentheses.
+        const cb = indexOfMatchingBracket(this.expr, pl);
+        if(cb < 0) break;
+        pl = cb;
+      } else if(c === '(') {
+        depth++;
+      } else if(c === ')') {
+        if(!depth) break;
+        depth--;
+      } else if(c === ';' && !depth) {
+        al.push(this.expr.substring(start, pl));
+        start = pl + 1;
+      }
+      pl++;
+    }
+    // Make the complete call the symbol to highlight in case of an error.
+    this.los = Math.min(pl, this.eot) + 1 - this.pit;
+    if(pl > this.eot || this.expr.charAt(pl) !== ')') {
+      this.error = `Missing ')' after arguments of macro "${m.name}"`;
+      return false;
+    }
+    al.push(this.expr.substring(start, pl));
+    // A macro without arguments is called as name().
+    if(!m.arguments.length && al.length === 1 && !al[0].trim()) al.length = 0;
+    if(al.length !== m.arguments.length) {
+      this.error = `Macro ${m.displayName} requires ` +
+          pluralS(m.arguments.length, 'argument');
+      return false;
+    }
+    const stack = this.macro_stack.concat([m]);
+    if(this.macro_stack.indexOf(m) >= 0) {
+      this.error = 'Cyclic macro call ' +
+          stack.map((sm) => sm.name).join(' \u2192 ');
+      return false;
+    }
+    // Compile the arguments in the context of this expression, so they may
+    // use the arguments of the macro that is being compiled.
+    const args = {};
+    for(let i = 0; i < al.length; i++) {
+      const xp = new ExpressionParser(al[i], this.owner, this.connector,
+          {stack: this.macro_stack, args: this.macro_args,
+              time: this.time_aspect_expression});
+      if(xp.error) {
+        this.error = `Argument ${m.arguments[i]} of macro "${m.name}": ` +
+            xp.error;
+        return false;
+      }
+      this.absorbMacroPart(xp);
+      args[m.arguments[i].toLowerCase()] = xp.code;
+    }
+    // Then compile the macro text with these arguments.
+    const xp = new ExpressionParser(m.text, this.owner, this.connector,
+        {stack: stack, args: args, time: this.time_aspect_expression});
+    if(xp.error) {
+      // NOTE: A cyclic call names all macros involved.
+      this.error = (xp.error.startsWith('Cyclic') ? xp.error :
+          `Macro "${m.name}": ${xp.error}`);
+      return false;
+    }
+    this.absorbMacroPart(xp);
+    return {code: xp.code};
+  }
+  
+  absorbMacroPart(xp) {
+    // Add the properties of parser `xp` for a macro text or argument to
+    // those of this parser.
+    this.is_static = this.is_static && xp.is_static;
+    for(let i = 0; i < xp.hidden_references.length; i++) {
+      addDistinct(xp.hidden_references[i], this.hidden_references);
+    }
+  }
+
+  timeUnit() {
+    // Return the number of hours in the time unit that follows the number
+    // that has just been scanned, or 0 if no time unit follows.
+    // NOTE: The time unit (and trailing spaces) are then added to the
+    // scanned symbol.
+    let pl = this.pit + this.los;
+    const m = this.expr.substring(pl).match(/^[a-z]+/i);
+    if(!m) return 0;
+    const h = VM.hoursPerTimeUnit(m[0]);
+    pl += m[0].length;
+    // The unit must be a separate word, so `3 min` is NOT 3 minutes.
+    if(!h || (pl <= this.eot &&
+        SEPARATOR_CHARS.indexOf(this.expr.charAt(pl)) < 0)) return 0;
+    while(pl <= this.eot && this.expr.charAt(pl) === ' ') pl++;
+    this.los = pl - this.pit;
+    return h;
+  }
+
   codeOperation(op) {
     // Add operation (which is an array [function, [arguments]]) to the
     // code, and "pop" the operand stack only if the operator is dyadic.
@@ -1013,6 +1266,17 @@ class ExpressionParser {
           } else {
             this.code.push([VMI_push_var, this.sym]);
           }
+        } else if(this.sym.code) {
+          // Macro call or macro argument => append its code, shifting the
+          // jump targets by the number of instructions that precede it.
+          const n = this.code.length;
+          for(let i = 0; i < this.sym.code.length; i++) {
+            const vmi = this.sym.code[i].slice();
+            if(vmi[0] === VMI_jump || vmi[0] === VMI_jump_if_false) {
+              vmi[1] += n;
+            }
+            this.code.push(vmi);
+          }
         } else {
           this.code.push([VMI_push_number, this.sym]);
         }
@@ -1055,6 +1319,10 @@ class VirtualMachine {
     this.call_stack = [];
     this.issue_list = [];
     this.event_setpoints = [];
+    // When the VM is reset, the model keeps the results of the last run
+    // unless it was performed as part of a series of runs.
+    this.keep_results = true;
+    this.expression_texts = {};
 
     // Floating-point constants used in calculations.
 
@@ -1138,6 +1406,8 @@ class VirtualMachine {
     // results.
     this.outcome_statistics =
       ['LAST', 'MAX', 'MEAN', 'MIN', 'N', 'NZ', 'SD', 'SUM', 'VAR'];
+    // State of the pseudo-random number generator.
+    this.random_state = 0;
   }
   
   reset() {
@@ -1159,13 +1429,15 @@ class VirtualMachine {
     // tick).
     this.error_count = 0;
     this.tick_issues = 0;
-    // Clear issue list with warnings and hide issue panel.
+    // Clear issue list with warnings and update the issue panel.
     this.issue_list.length = 0;
     this.issue_index = -1;
     UI.updateIssuePanel();
     this.messages.length = 0;
     // Clear setpoint lists.
     this.event_setpoints.length = 0;
+    // Ensure that runs of a model with a seed are reproducible.
+    this.seedRandom(MODEL.random_seed);
     // Reset the VM monitor.
     MONITOR.reset();
     this.t = 0;
@@ -1174,6 +1446,60 @@ class VirtualMachine {
     UI.readyToSolve();
   }
   
+  seedRandom(seed) {
+    // Initialize the pseudo-random number generator with a 32-bit hash
+    // (FNV-1a) of string `seed`, or with an arbitrary number if no seed
+    // is specified.
+    seed = ('' + seed).trim();
+    if(!seed) {
+      this.random_state = Math.floor(Math.random() * 4294967296) | 0;
+      return;
+    }
+    let h = 2166136261;
+    for(let i = 0; i < seed.length; i++) {
+      h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+    }
+    this.random_state = h | 0;
+  }
+  
+  random() {
+    // Return a pseudo-random number from the interval [0, 1) using the
+    // Mulberry32 algorithm, so that the sequence depends only on the seed.
+    let z = (this.random_state = (this.random_state + 0x6D2B79F5) | 0);
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  }
+
+  outcomeStatistic(vl, stat) {
+    // Return outcome statistic `stat` for the list of numbers `vl`.
+    // NOTE: Exceptional values are ignored, so if no proper values remain,
+    // all statistics except N and NZ are undefined.
+    const
+        v = vl.filter((x) => x >= this.MINUS_INFINITY &&
+            x <= this.PLUS_INFINITY),
+        n = v.length;
+    if(stat === 'N') return n;
+    if(stat === 'NZ') {
+      return v.filter((x) => Math.abs(x) > this.NEAR_ZERO).length;
+    }
+    if(n === 0) return this.UNDEFINED;
+    if(stat === 'LAST') return v[n - 1];
+    if(stat === 'MIN') return Math.min(...v);
+    if(stat === 'MAX') return Math.max(...v);
+    let sum = 0;
+    for(let i = 0; i < n; i++) sum += v[i];
+    if(stat === 'SUM') return sum;
+    const mean = sum / n;
+    if(stat === 'MEAN') return mean;
+    let sumsq = 0;
+    for(let i = 0; i < n; i++) sumsq += Math.pow(v[i] - mean, 2);
+    if(stat === 'VAR') return sumsq / n;
+    if(stat === 'SD') return Math.sqrt(sumsq / n);
+    // Fall-through: unknown statistic.
+    return this.UNDEFINED;
+  }
+
   errorMessage(n) {
     // VM errors are very big NEGATIVE numbers, so start comparing `n`
     // with the most negative one to return the correct message.
@@ -1196,6 +1522,20 @@ class VirtualMachine {
     return n;
   }
   
+  hoursPerTimeUnit(u) {
+    // Return the number of hours in time unit `u`, which may be a unit
+    // name (singular or plural) or its shorthand, or 0 if `u` is not
+    // a time unit.
+    u = u.toLowerCase();
+    for(let k in this.time_unit_values) {
+      if(this.time_unit_values.hasOwnProperty(k) && (u === k ||
+          u === k + 's' || u === this.time_unit_shorthand[k])) {
+        return this.time_unit_values[k];
+      }
+    }
+    return 0;
+  }
+
   specialValue(n) {
     // Return [FALSE, n] if number n is a NOT a special value,
     // otherwise [TRUE, string] with string a readable representation
@@ -1393,26 +1733,79 @@ class VirtualMachine {
     return pl;
   }
 
-  solveModel() {
-    // Perform successive "cycles" for the set run length.
+  prepareRun() {
+    // Reset the VM and establish the order in which the functions must
+    // be updated in each cycle.
     this.reset();
-    MONITOR.reset();
-    this.startTimer();
+    // Record the expression texts for comparison with a later run.
+    this.expression_texts = MODEL.expressionTexts;
     this.logMessage(0, `Simulation started at ${new Date().toString()}\n`);
     // First establish the most logical function sequence.
     this.sequence = MODEL.triggerSequence;
     this.t = 0;
+  }
+
+  solveModel() {
+    // Perform successive "cycles" for the set run length.
+    this.prepareRun();
+    MONITOR.reset();
+    this.startTimer();
     MONITOR.updateDialog();
     UI.startSolving();
     // Start iterating throught the simulation period.
     setTimeout(() => VM.runCycle(), 10);
   }
   
+  runAllCycles(seed=null, keep=true) {
+    // Perform all cycles of a run without interruption.
+    // NOTE: When `seed` is specified, it overrides the model's random seed.
+    // When `keep` is FALSE, the results of this run will not be kept as
+    // "previous run" when the VM is reset.
+    // Like `computeCycle`, this method does not update the GUI.
+    // NOTE: Prepare the run first, as the VM reset keeps the clock times
+    // of the previous run.
+    this.prepareRun();
+    MODEL.cleanVector(MODEL.clock_time, 0);
+    if(seed !== null) this.seedRandom(seed);
+    while(this.t <= MODEL.run_length) {
+      this.computeCycle();
+      this.t++;
+    }
+    // NOTE: Aspect values are reported only for solved models.
+    MODEL.solved = true;
+    this.keep_results = keep;
+    MODEL.t = 0;
+  }
+
   runCycle() {
     if(this.t > MODEL.run_length) {
       this.terminateRun();
       return;
     }
+    this.computeCycle();
+    MONITOR.updateDialog();
+    MONITOR.updateMonitorTime();
+    UI.setProgressNeedle(this.t / MODEL.run_length);
+    // Modeler may interrupt the simulation.
+    if(this.halted) {
+      UI.notify('Simulation was aborted -- results will be partial');
+      this.logMessage(this.t,
+          `\n*** Simulation aborted at ${new Date().toString()} ***`);
+      this.terminateRun();
+      return;
+    }
+    // Otherwise, increase the cycle "tick"...
+    this.t++;
+    // ... and proceed asynchronously with the next cycle, so the process
+    // can be interrupted by the modeler.
+    setTimeout(() => VM.runCycle(), 10);
+  }
+  
+  computeCycle() {
+    // Advance the clock time and update the state of all functions for
+    // the current cycle ("tick"), logging what has changed.
+    // NOTE: This method does not update the GUI, so that the headless
+    // engine can also use it.
     this.logMessage(this.t, 'Cycle #' + this.t);
     let new_time = '';
     if(this.t > 0) {
@@ -1458,31 +1851,20 @@ class VirtualMachine {
       pl.lasting.sort();
       this.logMessage(this.t, '- ' + pl.lasting.join('\n- '));
     }
-    MONITOR.updateDialog();
-    MONITOR.updateMonitorTime();
-    UI.setProgressNeedle(this.t / MODEL.run_length);
-    // Modeler may interrupt the simulation.
-    if(this.halted) {
-      UI.notify('Simulation was aborted -- results will be partial');
-      this.logMessage(this.t,
-          `\n*** Simulation aborted at ${new Date().toString()} ***`);
-      this.terminateRun();
-      return;
-    }
-    // Otherwise, increase the cycle "tick"...
-    this.t++;
-    // ... and proceed asynchronously with the next cycle, so the process
-    // can be interrupted by the modeler.
-    setTimeout(() => VM.runCycle(), 10);
   }
   
   terminateRun() {
     MODEL.solved = true;
+    this.keep_results = true;
     this.stopSolving();
     MODEL.t = 0;
     UI.drawDiagram(MODEL);
     UI.updateTimeStep();
     MONITOR.updateDialog();
+    CHART_MANAGER.updateDialog();
+    TIMELINE_MANAGER.updateDialog();
+    PLAYER.updateDialog();
+    RUN_COMPARER.updateDialog();
   }
   
   logCode() {
@@ -1573,10 +1955,13 @@ function VMI_push_last_activation(x) {
   // Push the clock time (in hours) of the cycle in which the parent
   // activity of the owning aspect of expression `x` was last activated,
   // or 0 when this owner is not an aspect.
-  const act = (x.object instanceof Aspect ? x.object.parent : x.object);
+  // NOTE: Parameters have no activity.
+  const act = (x.object instanceof Aspect ? x.object.parent :
+      (x.object instanceof Activity ? x.object : null));
   let t = x.step[x.step.length - 1];
   if(DEBUGGING) {
-    console.log(`push last activation of ${act.displayName} (t = ${t})`);
+    console.log('push last activation of',
+        (act ? act.displayName : '(no function)'), `(t = ${t})`);
   }
   let lat = 0;
   if(act) {
@@ -1593,7 +1978,7 @@ function VMI_push_last_activation(x) {
 
 function VMI_push_random(x) {
   // Push a random number from the interval [0, 1).
-  const r = Math.random();
+  const r = VM.random();
   if(DEBUGGING) console.log('push random =', r);
   x.push(r);
 }
@@ -1796,7 +2181,8 @@ function VMI_push_var(x, args) {
 function VMI_push_statistic(x, args) {
   // Pushes the value of the statistic over the list of variables specified by
   // `args`, being the list [stat, list, anchor, offset] where `stat` can be one
-  // of MAX, MEAN, MIN, N, SD, SUM, and VAR, and `list` is a list of vectors
+  // of MAX, MEAN, MIN, N, SD, SUM, and VAR, and `list` is a list of vectors,
+  // aspects, functions and expressions
   // NOTE: each statistic may also be "suffixed" by NZ to denote that only
   // non-zero numbers should be considered
   let stat = args[0],
@@ -1859,7 +2245,11 @@ function VMI_push_statistic(x, args) {
   // If so, trim the 'NZ'
   if(nz) stat = stat.slice(0, -2);
   // Now t1 ... t2 is the range of time steps to iterate over for each variable
+  // NOTE: N counts functions only when they are active, so that, e.g.,
+  // [N$F?Check*] is the number of active check functions.
   let obj,
+      v,
+      inactive = 0,
       vlist = [];
   for(let t = t1; t <= t2; t++) {
     // Get the list of values
@@ -1873,6 +2263,12 @@ function VMI_push_statistic(x, args) {
         } else {
           v = VM.UNDEFINED;
         }
+      } else if(obj instanceof Activity) {
+        // Object is a function, so its state is the value.
+        v = obj.outputState(t);
+        if(!v) inactive++;
+      } else if(obj instanceof Aspect) {
+        v = obj.expression.result(t);
       } else {
         // Object is an expression
         v = obj.result(t);
@@ -1889,7 +2285,7 @@ function VMI_push_statistic(x, args) {
       // NOTE: count is the number of values used in the statistic 
       count = (nz ? n : list.length * (t2 - t1 + 1));
   if(stat === 'N') {
-    x.push(count);
+    x.push(nz ? count : count - inactive);
     return;
   }
   // If no non-zero values remain, all statistics are zero (as ALL values were zero)
@@ -2417,18 +2813,18 @@ function VMI_if_else(x) {
 
 function randomExponential(lambda) {
   // Return a random number drawn from a Exp(lambda) distribution.
-  return -Math.log(Math.random()) / lambda;
+  return -Math.log(VM.random()) / lambda;
 }
 
 function randomWeibull(lambda, k) {
   // Return a random number drawn from a Weibull(lambda, k) distribution.
   if(Math.abs(k) < VM.NEAR_ZERO) return VM.DIV_ZERO;
-  return lambda * Math.pow(-Math.log(Math.random()), 1.0 / k);
+  return lambda * Math.pow(-Math.log(VM.random()), 1.0 / k);
 }
 
 function randomTriangular(a, b, c=0.5*(a + b)) {
   // Return a random number drawn from a Triangular(a, b, c) distribution.
-  const u = Math.random(), b_a = b - a, c_a = c - a;
+  const u = VM.random(), b_a = b - a, c_a = c - a;
   if(u < c_a / b_a) {
     return a + Math.sqrt(u * b_a * c_a);
   } else {
@@ -2449,7 +2845,7 @@ function randomNormal(mean, std) {
     c6 = 2.93816398269878,
     d1 = 7.78469570904146E-03, d2 = 0.32246712907004, d3 = 2.445134137143,
     d4 = 3.75440866190742,
-    p = Math.random(), p_low = 0.02425, p_high = 1 - p_low;
+    p = VM.random(), p_low = 0.02425, p_high = 1 - p_low;
   let q, r, zn = 0, zd = 1;
   if(p >= p_low && p <= p_high) {
     q = p - 0.5;
@@ -2470,7 +2866,7 @@ function randomBinomial(n, p) {
         log_q = Math.log(1.0 - pp);
   let x = 0, sum = 0;
   while(true) {
-    sum += Math.log(Math.random()) / (n - x);
+    sum += Math.log(VM.random()) / (n - x);
     if(sum < log_q) return (pp === p ? x : n - x);
     x++;
   }
@@ -2510,7 +2906,7 @@ function randomPoisson(lambda) {
     let k = 0, p = 1;
     do {
       k++;
-      p *= Math.random();
+      p *= VM.random();
     } while(p > L);
     return k - 1;
   } else {
@@ -2523,11 +2919,11 @@ function randomPoisson(lambda) {
           k = Math.log(c) - lambda - Math.log(beta);
     let n, u, v, x, y, lhs, rhs; 
     while(true) {
-      u = Math.random();
+      u = VM.random();
       x = (alpha - Math.log((1.0 - u) / u)) / beta;
       n = Math.floor(x + 0.5);
       if(n < 0) continue;
-      v = Math.random();
+      v = VM.random();
       y = alpha - beta * x;
       lhs = y + Math.log(Math.pow(v / (1.0 + Math.exp(y)), 2));
       rhs = k + n * Math.log(lambda) - Math.log(factorial(n));